@@ -5,7 +5,17 @@ const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
 const socketIo = require('socket.io');
+const SokobanRules = require('./shared/sokoban-rules');
+const LevelValidator = require('./shared/level-validator');
+const LevelFormats = require('./lib/level-formats');
+const Solver = require('./lib/solver');
+const Generator = require('./lib/generator');
+const Difficulty = require('./lib/difficulty');
+const Migrations = require('./lib/migrations');
+const LayoutDiff = require('./lib/layout-diff');
+const Preview = require('./lib/preview');
 require('dotenv').config({ path: __dirname + '/config.env' });
 
 // Ensure JWT_SECRET is defined
@@ -34,118 +44,43 @@ const db = new sqlite3.Database('./sokoban.db', (err) => {
     console.error('❌ Database connection failed:', err.message);
   } else {
     console.log('✅ Connected to SQLite database');
-    initializeTables();
-  }
-});
-
-// Initialize database tables
-function initializeTables() {
-  // Create tables sequentially to avoid timing issues
-  db.serialize(() => {
-    // Users table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'player' CHECK(role IN ('anonymous', 'player', 'admin')),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating users table:', err);
-      } else {
-        console.log('✅ Users table created');
-      }
-    });
-
-    // Puzzles table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS puzzles (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        layout TEXT NOT NULL,
-        created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (created_by) REFERENCES users(id)
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating puzzles table:', err);
-      } else {
-        console.log('✅ Puzzles table created');
-      }
-    });
-
-    // Scores table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS scores (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        puzzle_id INTEGER NOT NULL,
-        time_taken INTEGER NOT NULL,
-        completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id),
-        FOREIGN KEY (puzzle_id) REFERENCES puzzles(id)
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating scores table:', err);
-      } else {
-        console.log('✅ Scores table created');
-      }
-    });
-
-    // Sprint results table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS sprint_results (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        game_id TEXT NOT NULL,
-        user_id INTEGER,
-        taps INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-      )
-    `, (err) => {
-      if (err) {
-        console.error('Error creating sprint_results table:', err);
-      } else {
-        console.log('✅ Sprint results table created');
-      }
-    });
-
-    // Insert default admin user
-    const adminPassword = bcrypt.hashSync('admin123', 10);
-    db.run(`
-      INSERT OR IGNORE INTO users (username, email, password_hash, role) 
-      VALUES ('admin', 'admin@sokoban.com', ?, 'admin')
-    `, [adminPassword], (err) => {
-      if (err) {
-        console.error('Error inserting admin user:', err);
-      } else {
-        console.log('✅ Admin user created');
-      }
-    });
+    initializeDatabase()
+      .then(startServer)
+      .catch((error) => {
+        console.error('❌ Database initialization failed:', error.message);
+        process.exit(1);
+      });
+  }
+});
 
-    // Clear any existing admin-created levels to reset to default state
-    db.run('DELETE FROM puzzles', (err) => {
-      if (err) {
-        console.error('Error clearing existing puzzles:', err);
-      } else {
-        console.log('✅ Cleared existing admin-created levels');
-      }
-    });
+// Bring the schema up to date, then seed the default admin user. With
+// AUTO_MIGRATE=false pending migrations are not applied and the server refuses
+// to start until they are (npm run migrate).
+async function initializeDatabase() {
+  if (process.env.AUTO_MIGRATE === 'false') {
+    const pending = (await Migrations.status(db)).filter(migration => !migration.applied);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} pending migration(s): ${pending.map(({ version, name }) => `${version}_${name}`).join(', ')}. Run npm run migrate`);
+    }
+  } else {
+    const applied = await Migrations.migrate(db, { log: message => console.log(`✅ ${message}`) });
+    if (applied.length === 0) {
+      console.log('✅ Database schema is up to date');
+    }
+  }
 
-    // Note: Default levels (1-4) are handled in the frontend
-    // Only admin-created levels are stored in the database
-  });
+  const adminPassword = bcrypt.hashSync('admin123', 10);
+  await dbRun(`
+    INSERT OR IGNORE INTO users (username, email, password_hash, role) 
+    VALUES ('admin', 'admin@sokoban.com', ?, 'admin')
+  `, [adminPassword]);
+  console.log('✅ Admin user created');
 }
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // limit each IP to 100 requests per windowMs by default
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
@@ -179,7 +114,7 @@ const dbAll = (sql, params = []) => {
   });
 };
 
-const dbRun = (sql, params = []) => {
+const runStatement = (sql, params = []) => {
   return new Promise((resolve, reject) => {
     db.run(sql, params, function(err) {
       if (err) reject(err);
@@ -188,6 +123,109 @@ const dbRun = (sql, params = []) => {
   });
 };
 
+// All requests share one connection, so a write sent while another request's
+// transaction is open would become part of it. Transactions and writes outside
+// them therefore go through one queue and run one at a time; statements made
+// by a transaction's own work are marked by transactionContext and run at once.
+// The mark is cleared when the transaction ends, so callbacks the work left
+// behind queue like any other write.
+let writeQueue = Promise.resolve();
+const transactionContext = new AsyncLocalStorage();
+const inTransaction = () => Boolean(transactionContext.getStore() && transactionContext.getStore().open);
+
+const enqueueWrite = (task) => {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+const dbRun = (sql, params = []) => {
+  if (inTransaction()) {
+    return runStatement(sql, params);
+  }
+  return enqueueWrite(() => runStatement(sql, params));
+};
+
+// Runs work (an async function using the helpers above) in a transaction and
+// returns its result. Called from inside a transaction, work joins it.
+const withTransaction = (work) => {
+  if (inTransaction()) {
+    return work();
+  }
+  const transaction = { open: true };
+  return enqueueWrite(() => transactionContext.run(transaction, async () => {
+    await runStatement('BEGIN TRANSACTION');
+    try {
+      const result = await work();
+      await runStatement('COMMIT');
+      return result;
+    } catch (error) {
+      await runStatement('ROLLBACK');
+      throw error;
+    } finally {
+      transaction.open = false;
+    }
+  }));
+};
+
+// Parse a stored puzzle row into a rules engine level (null if the layout is broken)
+const parsePuzzleLevel = (puzzle) => {
+  try {
+    const layout = JSON.parse(puzzle.layout);
+    return SokobanRules.parseLevel(layout.grid);
+  } catch (error) {
+    console.error('Error parsing puzzle layout:', puzzle.id, error.message);
+    return null;
+  }
+};
+
+// Width, height and box count of a layout (JSON string). They are stored with
+// the puzzle so the list can be filtered on them.
+const layoutDimensions = (layout) => SokobanRules.gridDimensions(JSON.parse(layout).grid);
+
+// Store a puzzle's name and layout as a numbered revision
+const recordRevision = (puzzleId, revision, name, layout, userId, note) => dbRun(
+  'INSERT INTO puzzle_revisions (puzzle_id, revision, name, layout, created_by, note) VALUES (?, ?, ?, ?, ?, ?)',
+  [puzzleId, revision, name, layout, userId || null, note || null]
+);
+
+// Puzzle publishing states. A scheduled puzzle counts as published once its
+// publish_at time has passed, so nothing has to run to release it.
+const PUZZLE_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// SQL for a puzzle's effective status, and for whether players can see it
+const puzzleStatusSql = (alias = 'p') =>
+  `CASE WHEN ${alias}.status = 'scheduled' AND ${alias}.publish_at <= CURRENT_TIMESTAMP THEN 'published' ELSE ${alias}.status END`;
+const puzzleVisibleSql = (alias = 'p') => `(${puzzleStatusSql(alias)}) = 'published'`;
+
+// Average player rating and number of ratings. Hidden reviews don't count.
+const ratingSummarySql = (alias = 'p') => `
+  (SELECT ROUND(AVG(r.rating), 2) FROM puzzle_reviews r WHERE r.puzzle_id = ${alias}.id AND r.hidden = 0) as rating_average,
+  (SELECT COUNT(*) FROM puzzle_reviews r WHERE r.puzzle_id = ${alias}.id AND r.hidden = 0) as rating_count`;
+
+// A Date in SQLite's CURRENT_TIMESTAMP format (UTC)
+const sqlTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// Check a requested status and publish time. publishAt is required for
+// scheduled puzzles and is stored in SQLite's UTC timestamp format.
+const parsePuzzleStatus = (status, publishAt) => {
+  if (!PUZZLE_STATUSES.includes(status)) {
+    return { error: `Invalid status, expected one of: ${PUZZLE_STATUSES.join(', ')}` };
+  }
+  if (status !== 'scheduled') {
+    return { status, publishAt: null };
+  }
+
+  const date = new Date(publishAt);
+  if (!publishAt || isNaN(date.getTime())) {
+    return { error: 'A valid publishAt time is required to schedule a puzzle' };
+  }
+  if (date <= new Date()) {
+    return { error: 'publishAt must be in the future' };
+  }
+  return { status, publishAt: sqlTimestamp(date) };
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -223,6 +261,27 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Like authenticateToken, but lets anonymous requests through without req.user
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await dbGet('SELECT id, username, email, role FROM users WHERE id = ?', [decoded.userId]);
+    if (user) {
+      req.user = user;
+    }
+  } catch (error) {
+    console.log('Optional auth - Ignoring invalid token:', error.message);
+  }
+  next();
+};
+
 // Routes
 // Auth verify route
 app.get('/api/auth/verify', authenticateToken, (req, res) => {
@@ -267,210 +326,2573 @@ app.post('/api/auth/register', async (req, res) => {
       { expiresIn: process.env.JWT_EXPIRES_IN }
     );
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: result.id,
-        username,
-        email,
-        role
-      }
+    res.status(201).json({
+      message: 'User registered successfully',
+      token,
+      user: {
+        id: result.id,
+        username,
+        email,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    // Find user
+    const user = await dbGet('SELECT id, username, email, password_hash, role FROM users WHERE username = ?', [username]);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Verify password
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: user.id, username: user.username, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN }
+    );
+
+    res.json({
+      message: 'Login successful',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, (req, res) => {
+  res.json({
+    user: {
+      id: req.user.id,
+      username: req.user.username,
+      email: req.user.email,
+      role: req.user.role
+    }
+  });
+});
+
+// Puzzle routes
+// Sort orders for ?sort=, as lists of keys. Unrated puzzles come last. The
+// puzzle id always ends the list so that cursors are stable.
+const PUZZLE_SORTS = {
+  difficulty: [{ sql: 'd.score IS NULL' }, { sql: 'd.score' }],
+  '-difficulty': [{ sql: 'd.score IS NULL' }, { sql: 'd.score', desc: true }]
+};
+
+// Range filters on the puzzle list: query parameter -> column and comparison
+const PUZZLE_RANGE_FILTERS = {
+  minWidth: ['p.width', '>='],
+  maxWidth: ['p.width', '<='],
+  minHeight: ['p.height', '>='],
+  maxHeight: ['p.height', '<='],
+  minBoxes: ['p.boxes', '>='],
+  maxBoxes: ['p.boxes', '<=']
+};
+const PUZZLE_PAGE_MAX = 100;
+
+// Cursors are the sort key values of the last puzzle on a page
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+const decodeCursor = (cursor, length) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Array.isArray(values) && values.length === length ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows that come after the cursor in the given key order: equal on the first
+// keys and past the cursor on the next one. IS compares NULLs as equal.
+const afterCursorSql = (keys) => `(${keys.map((key, index) => [
+  ...keys.slice(0, index).map(previous => `(${previous.sql}) IS ?`),
+  `(${key.sql}) ${key.desc ? '<' : '>'} ?`
+].join(' AND ')).join(' OR ')})`;
+const afterCursorParams = (values) => values.flatMap((value, index) => [...values.slice(0, index), value]);
+
+// ?collection=<id> lists a collection's puzzles in play order, ?collection=none
+// the puzzles that are not in any collection. Only published puzzles are
+// listed; admins can pass ?status=all or a comma-separated list of statuses.
+// ?tier= filters by difficulty tier and ?sort=difficulty|-difficulty orders by
+// difficulty score. ?q= searches names and ?author= authors; the size, box
+// count and creation date can be limited with the range filters. With ?limit=
+// the list is paged: nextCursor is passed back as ?cursor= for the next page.
+// ?summary=true leaves out the layouts.
+app.get('/api/puzzles', optionalAuth, async (req, res) => {
+  try {
+    const { collection, status, tier, sort, q, author, createdAfter, createdBefore, cursor, summary } = req.query;
+    let join = '';
+    let keys = [];
+    const conditions = [];
+    const params = [];
+
+    if (collection === 'none') {
+      conditions.push('NOT EXISTS (SELECT 1 FROM collection_puzzles cp WHERE cp.puzzle_id = p.id)');
+    } else if (collection !== undefined) {
+      join = 'JOIN collection_puzzles cp ON cp.puzzle_id = p.id AND cp.collection_id = ?';
+      keys.push({ sql: 'cp.position' });
+      params.push(collection);
+    }
+
+    if (sort !== undefined) {
+      if (!PUZZLE_SORTS[sort]) {
+        return res.status(400).json({ error: `Invalid sort, expected one of: ${Object.keys(PUZZLE_SORTS).join(', ')}` });
+      }
+      keys = PUZZLE_SORTS[sort].concat(keys);
+    }
+    keys.push({ sql: 'p.id' });
+
+    if (tier !== undefined) {
+      const tiers = String(tier).split(',');
+      if (!tiers.every(value => Difficulty.TIERS.includes(value))) {
+        return res.status(400).json({ error: `Invalid tier, expected any of: ${Difficulty.TIERS.join(', ')}` });
+      }
+      conditions.push(`d.tier IN (${tiers.map(() => '?').join(', ')})`);
+      params.push(...tiers);
+    }
+
+    if (status === undefined) {
+      conditions.push(puzzleVisibleSql());
+    } else {
+      if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      if (status !== 'all') {
+        const statuses = String(status).split(',');
+        if (!statuses.every(value => PUZZLE_STATUSES.includes(value))) {
+          return res.status(400).json({ error: `Invalid status, expected all or any of: ${PUZZLE_STATUSES.join(', ')}` });
+        }
+        conditions.push(`(${puzzleStatusSql()}) IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+      }
+    }
+
+    // Name and author searches match anywhere, ignoring case
+    const contains = (value) => `%${String(value).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    if (q) {
+      conditions.push("p.name LIKE ? ESCAPE '\\'");
+      params.push(contains(q));
+    }
+    if (author) {
+      conditions.push("COALESCE(p.author, u.username) LIKE ? ESCAPE '\\'");
+      params.push(contains(author));
+    }
+
+    for (const [param, [column, operator]] of Object.entries(PUZZLE_RANGE_FILTERS)) {
+      if (req.query[param] === undefined) continue;
+      const value = Number(req.query[param]);
+      if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({ error: `${param} must be a whole number` });
+      }
+      conditions.push(`${column} ${operator} ?`);
+      params.push(value);
+    }
+
+    for (const [param, value, operator] of [['createdAfter', createdAfter, '>='], ['createdBefore', createdBefore, '<']]) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `${param} must be a date or time` });
+      }
+      conditions.push(`p.created_at ${operator} ?`);
+      params.push(sqlTimestamp(date));
+    }
+
+    let limit = null;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > PUZZLE_PAGE_MAX) {
+        return res.status(400).json({ error: `limit must be between 1 and ${PUZZLE_PAGE_MAX}` });
+      }
+    }
+    if (cursor !== undefined) {
+      const values = decodeCursor(cursor, keys.length);
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      conditions.push(afterCursorSql(keys));
+      params.push(...afterCursorParams(values));
+    }
+
+    // One row more than the page shows whether there is a next page
+    const rows = await dbAll(`
+      SELECT p.id, p.name, ${summary === 'true' ? '' : 'p.layout, '}p.width, p.height, p.boxes, p.author, p.revision,
+        ${puzzleStatusSql()} as status, p.publish_at,
+        ROUND(d.score, 1) as difficulty_score, d.tier as difficulty_tier, ${ratingSummarySql()},
+        p.created_at, u.username as created_by_username,
+        ${keys.map((key, index) => `${key.sql} as cursor_${index}`).join(', ')}
+      FROM puzzles p
+      ${join}
+      LEFT JOIN puzzle_difficulty d ON d.puzzle_id = p.id
+      LEFT JOIN users u ON p.created_by = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${keys.map(key => `${key.sql} ${key.desc ? 'DESC' : 'ASC'}`).join(', ')}
+      ${limit ? 'LIMIT ?' : ''}
+    `, limit ? [...params, limit + 1] : params);
+
+    const puzzles = limit ? rows.slice(0, limit) : rows;
+    const cursorValues = puzzles.map(puzzle => keys.map((key, index) => {
+      const value = puzzle[`cursor_${index}`];
+      delete puzzle[`cursor_${index}`];
+      return value;
+    }));
+
+    res.json({
+      puzzles,
+      nextCursor: limit && rows.length > limit ? encodeCursor(cursorValues[cursorValues.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Error fetching puzzles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send puzzle rows as an XSB download, skipping any with a broken layout
+const sendXsb = (res, filename, puzzles) => {
+  const entries = puzzles
+    .map(puzzle => ({
+      name: puzzle.name,
+      author: puzzle.author || puzzle.created_by_username,
+      level: parsePuzzleLevel(puzzle)
+    }))
+    .filter(entry => entry.level);
+
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.attachment(`${filename.replace(/[^a-z0-9_-]+/gi, '_')}.xsb`);
+  res.send(LevelFormats.toXsb(entries));
+};
+
+// Export all published puzzles as one XSB pack
+app.get('/api/puzzles/export', async (req, res) => {
+  try {
+    const puzzles = await dbAll(`
+      SELECT p.id, p.name, p.layout, p.author, u.username as created_by_username
+      FROM puzzles p
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE ${puzzleVisibleSql()}
+      ORDER BY p.id ASC
+    `);
+
+    sendXsb(res, 'sokoban-puzzles', puzzles);
+  } catch (error) {
+    console.error('Error exporting puzzles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export a single puzzle as XSB
+app.get('/api/puzzles/:id/export', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const puzzle = await dbGet(`
+      SELECT p.id, p.name, p.layout, p.author, ${puzzleStatusSql()} as status, u.username as created_by_username
+      FROM puzzles p
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE p.id = ?
+    `, [id]);
+
+    // Unpublished puzzles are only visible to admins
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    if (!parsePuzzleLevel(puzzle)) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    sendXsb(res, puzzle.name, [puzzle]);
+  } catch (error) {
+    console.error('Error exporting puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview image of a puzzle as SVG or PNG. ?cell= sets the cell size in
+// pixels; ?moves= (LURD) shows the board after playing those moves from the
+// start, so any reachable position can be shared.
+const sendPuzzlePreview = (format) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const puzzle = await dbGet(`
+      SELECT p.id, p.layout, ${puzzleStatusSql()} as status
+      FROM puzzles p
+      WHERE p.id = ?
+    `, [id]);
+
+    // Unpublished puzzles are only visible to admins
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const cellSize = req.query.cell === undefined ? Preview.DEFAULT_CELL_SIZE : Number(req.query.cell);
+    if (!Number.isInteger(cellSize) || cellSize < Preview.MIN_CELL_SIZE || cellSize > Preview.MAX_CELL_SIZE) {
+      return res.status(400).json({ error: `cell must be a whole number from ${Preview.MIN_CELL_SIZE} to ${Preview.MAX_CELL_SIZE}` });
+    }
+
+    let state = parsePuzzleLevel(puzzle);
+    if (!state) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    if (req.query.moves) {
+      const replay = SokobanRules.replay(state, String(req.query.moves));
+      if (!replay.valid) {
+        return res.status(400).json({ error: replay.error });
+      }
+      state = replay.state;
+    }
+
+    const grid = SokobanRules.toGrid(state);
+    const { width, height } = Preview.imageSize(grid, cellSize);
+    if (Math.max(width, height) > Preview.MAX_IMAGE_SIZE) {
+      return res.status(400).json({ error: `Image would be larger than ${Preview.MAX_IMAGE_SIZE}px, use a smaller cell size` });
+    }
+
+    // Drafts and scheduled puzzles can still change, so only cache published ones
+    res.set('Cache-Control', puzzle.status === 'published' ? 'public, max-age=300' : 'private, no-cache');
+    if (format === 'png') {
+      res.type('png').send(Preview.renderPng(grid, cellSize));
+    } else {
+      res.type('svg').send(Preview.renderSvg(grid, cellSize));
+    }
+  } catch (error) {
+    console.error('Error rendering puzzle preview:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.get('/api/puzzles/:id/preview.svg', optionalAuth, sendPuzzlePreview('svg'));
+app.get('/api/puzzles/:id/preview.png', optionalAuth, sendPuzzlePreview('png'));
+
+app.get('/api/puzzles/:id', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const puzzle = await dbGet(`
+      SELECT p.id, p.name, p.layout, p.width, p.height, p.boxes, p.author, p.revision, ${puzzleStatusSql()} as status, p.publish_at,
+        ROUND(d.score, 1) as difficulty_score, d.tier as difficulty_tier, ${ratingSummarySql()},
+        p.created_at, u.username as created_by_username
+      FROM puzzles p
+      LEFT JOIN puzzle_difficulty d ON d.puzzle_id = p.id
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE p.id = ?
+    `, [id]);
+
+    // Unpublished puzzles are only visible to admins
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    res.json({ puzzle });
+  } catch (error) {
+    console.error('Error fetching puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new puzzle (admin only). New puzzles are drafts unless a status is given.
+app.post('/api/puzzles', authenticateToken, async (req, res) => {
+  try {
+    const { name, layout, checkSolvable, collectionId, status = 'draft', publishAt } = req.body;
+
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!name || !layout) {
+      return res.status(400).json({ error: 'Name and layout are required' });
+    }
+
+    // Validate layout structure. It may be sent as a JSON string or an object,
+    // and is stored as a string either way.
+    const validation = LevelValidator.validateLayout(layout);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid puzzle layout', errors: validation.errors });
+    }
+    const parsedLayout = typeof layout === 'string' ? JSON.parse(layout) : layout;
+    const storedLayout = JSON.stringify(parsedLayout);
+
+    const publishing = parsePuzzleStatus(status, publishAt);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
+    }
+
+    if (collectionId !== undefined && collectionId !== null) {
+      const collection = await dbGet('SELECT id FROM collections WHERE id = ?', [collectionId]);
+      if (!collection) {
+        return res.status(400).json({ error: 'Collection not found' });
+      }
+    }
+
+    // Optionally refuse puzzles the solver proves unsolvable
+    let solver;
+    if (checkSolvable) {
+      const level = SokobanRules.parseLevel(parsedLayout.grid);
+      solver = await Solver.solveAsync(level, solverOptions());
+      if (solver.status === 'unsolvable') {
+        return res.status(400).json({ error: 'Puzzle is unsolvable', solver });
+      }
+    }
+
+    // Create the puzzle with its first revision, appended to the end of the
+    // chosen collection
+    const size = layoutDimensions(storedLayout);
+    const result = await withTransaction(async () => {
+      const inserted = await dbRun(
+        'INSERT INTO puzzles (name, layout, width, height, boxes, created_by, status, publish_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [name, storedLayout, size.width, size.height, size.boxes, req.user.id, publishing.status, publishing.publishAt]
+      );
+      await recordRevision(inserted.id, 1, name, storedLayout, req.user.id, 'Created');
+
+      if (collectionId !== undefined && collectionId !== null) {
+        await dbRun(`
+          INSERT INTO collection_puzzles (collection_id, puzzle_id, position)
+          SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM collection_puzzles WHERE collection_id = ?
+        `, [collectionId, inserted.id, collectionId]);
+      }
+      return inserted;
+    });
+    queueDifficultyRating(result.id);
+
+    res.status(201).json({
+      message: 'Puzzle created successfully',
+      puzzle: {
+        id: result.id,
+        name,
+        layout: storedLayout,
+        created_by: req.user.id,
+        revision: 1,
+        status: publishing.status,
+        publish_at: publishing.publishAt,
+        collection_id: collectionId || null
+      },
+      solver
+    });
+  } catch (error) {
+    console.error('Error creating puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make name and layout the puzzle's next revision. With resetLeaderboard the
+// leaderboard only ranks scores set on the new revision or later.
+const saveRevision = async (puzzle, { name, layout, note, resetLeaderboard, userId }) => {
+  const size = layoutDimensions(layout);
+  await withTransaction(async () => {
+    // Read inside the transaction so concurrent edits get consecutive revisions
+    const { revision: current } = await dbGet('SELECT revision FROM puzzles WHERE id = ?', [puzzle.id]);
+    const revision = current + 1;
+    await dbRun(`
+      UPDATE puzzles
+      SET name = ?, layout = ?, width = ?, height = ?, boxes = ?, revision = ?,
+        leaderboard_revision = CASE WHEN ? THEN ? ELSE leaderboard_revision END
+      WHERE id = ?
+    `, [name, layout, size.width, size.height, size.boxes, revision, resetLeaderboard ? 1 : 0, revision, puzzle.id]);
+    await recordRevision(puzzle.id, revision, name, layout, userId, note);
+  });
+  queueDifficultyRating(puzzle.id);
+  return dbGet('SELECT id, name, layout, revision, leaderboard_revision FROM puzzles WHERE id = ?', [puzzle.id]);
+};
+
+// Edit a puzzle (admin only). Every edit is stored as a new revision.
+app.put('/api/puzzles/:id', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const { name, layout, note, resetLeaderboard, checkSolvable } = req.body;
+
+    const puzzle = await dbGet('SELECT id, name, layout, revision FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    if (name === undefined && layout === undefined) {
+      return res.status(400).json({ error: 'Name or layout is required' });
+    }
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    let newLayout = puzzle.layout;
+    let solver;
+    if (layout !== undefined) {
+      const validation = LevelValidator.validateLayout(layout);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid puzzle layout', errors: validation.errors });
+      }
+      const parsedLayout = typeof layout === 'string' ? JSON.parse(layout) : layout;
+      newLayout = JSON.stringify(parsedLayout);
+
+      if (checkSolvable) {
+        solver = await Solver.solveAsync(SokobanRules.parseLevel(parsedLayout.grid), solverOptions());
+        if (solver.status === 'unsolvable') {
+          return res.status(400).json({ error: 'Puzzle is unsolvable', solver });
+        }
+      }
+    }
+
+    const newName = name !== undefined ? String(name).trim() : puzzle.name;
+    if (newName === puzzle.name && newLayout === puzzle.layout) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    const updated = await saveRevision(puzzle, {
+      name: newName,
+      layout: newLayout,
+      note,
+      resetLeaderboard,
+      userId: req.user.id
+    });
+
+    res.json({
+      message: `Puzzle updated to revision ${updated.revision}`,
+      puzzle: updated,
+      solver
+    });
+  } catch (error) {
+    console.error('Error updating puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Draft, schedule, publish or archive a puzzle (admin only). Archiving hides
+// the puzzle from players but keeps its scores.
+app.put('/api/puzzles/:id/status', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const puzzle = await dbGet('SELECT id FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const publishing = parsePuzzleStatus(req.body.status, req.body.publishAt);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
+    }
+
+    await dbRun(
+      'UPDATE puzzles SET status = ?, publish_at = ? WHERE id = ?',
+      [publishing.status, publishing.publishAt, puzzle.id]
+    );
+
+    res.json({
+      message: publishing.status === 'scheduled'
+        ? `Puzzle scheduled for ${publishing.publishAt} UTC`
+        : `Puzzle is now ${publishing.status}`,
+      puzzle: { id: puzzle.id, status: publishing.status, publish_at: publishing.publishAt }
+    });
+  } catch (error) {
+    console.error('Error updating puzzle status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revision history of a puzzle, newest first (admin only)
+app.get('/api/puzzles/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const puzzle = await dbGet('SELECT id, name, revision, leaderboard_revision FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const revisions = await dbAll(`
+      SELECT r.revision, r.name, r.note, r.created_at, u.username as created_by_username,
+        (SELECT COUNT(*) FROM scores s WHERE s.puzzle_id = r.puzzle_id AND s.puzzle_revision = r.revision) as score_count
+      FROM puzzle_revisions r
+      LEFT JOIN users u ON r.created_by = u.id
+      WHERE r.puzzle_id = ?
+      ORDER BY r.revision DESC
+    `, [puzzle.id]);
+
+    res.json({ puzzle, revisions });
+  } catch (error) {
+    console.error('Error fetching puzzle revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const getRevision = (puzzleId, revision) => dbGet(`
+  SELECT r.revision, r.name, r.layout, r.note, r.created_at, u.username as created_by_username
+  FROM puzzle_revisions r
+  LEFT JOIN users u ON r.created_by = u.id
+  WHERE r.puzzle_id = ? AND r.revision = ?
+`, [puzzleId, revision]);
+
+// One revision with its layout (admin only)
+app.get('/api/puzzles/:id/revisions/:revision', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id, revision } = req.params;
+    const found = await getRevision(id, revision);
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision: found });
+  } catch (error) {
+    console.error('Error fetching puzzle revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compare a revision with an earlier one (?against=, default the previous
+// revision). Lists every changed cell (admin only).
+app.get('/api/puzzles/:id/revisions/:revision/diff', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const revision = parseInt(req.params.revision, 10);
+    const against = req.query.against !== undefined ? parseInt(req.query.against, 10) : revision - 1;
+    if (!(against > 0)) {
+      return res.status(400).json({ error: 'No earlier revision to compare with' });
+    }
+
+    const [to, from] = await Promise.all([getRevision(id, revision), getRevision(id, against)]);
+    if (!to || !from) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let fromGrid;
+    let toGrid;
+    try {
+      fromGrid = JSON.parse(from.layout).grid;
+      toGrid = JSON.parse(to.layout).grid;
+    } catch (error) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    const diff = LayoutDiff.diffGrids(fromGrid, toGrid);
+    res.json({
+      from: { revision: from.revision, name: from.name, size: diff.from },
+      to: { revision: to.revision, name: to.name, size: diff.to },
+      nameChanged: from.name !== to.name,
+      changes: diff.changes
+    });
+  } catch (error) {
+    console.error('Error diffing puzzle revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Roll back to an earlier revision (admin only). History is kept: the old
+// name and layout are saved as a new revision.
+app.post('/api/puzzles/:id/revisions/:revision/rollback', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const puzzle = await dbGet('SELECT id, name, layout, revision FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const target = await getRevision(puzzle.id, req.params.revision);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (target.revision === puzzle.revision) {
+      return res.status(400).json({ error: `Revision ${target.revision} is already the current revision` });
+    }
+
+    const updated = await saveRevision(puzzle, {
+      name: target.name,
+      layout: target.layout,
+      note: `Rolled back to revision ${target.revision}`,
+      resetLeaderboard: req.body.resetLeaderboard,
+      userId: req.user.id
+    });
+
+    res.json({
+      message: `Rolled back to revision ${target.revision} (saved as revision ${updated.revision})`,
+      puzzle: updated
+    });
+  } catch (error) {
+    console.error('Error rolling back puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Solver budget from config.env. Requests may ask for less, never more.
+const solverOptions = (overrides = {}) => {
+  const timeLimitMs = parseInt(process.env.SOLVER_TIME_LIMIT_MS, 10) || Solver.DEFAULT_OPTIONS.timeLimitMs;
+  const maxStates = parseInt(process.env.SOLVER_MAX_STATES, 10) || Solver.DEFAULT_OPTIONS.maxStates;
+  const memoryLimitMb = parseInt(process.env.SOLVER_MEMORY_MB, 10) || Solver.DEFAULT_OPTIONS.memoryLimitMb;
+  const requestedTime = parseInt(overrides.timeLimitMs, 10);
+  const requestedStates = parseInt(overrides.maxStates, 10);
+
+  return {
+    timeLimitMs: requestedTime > 0 ? Math.min(requestedTime, timeLimitMs) : timeLimitMs,
+    maxStates: requestedStates > 0 ? Math.min(requestedStates, maxStates) : maxStates,
+    memoryLimitMb
+  };
+};
+
+// Difficulty ratings
+// Each player's best time on a puzzle since the given revision, and whether
+// any of their solves needed no hints
+const getPlayerResults = async (puzzleId, revision) => {
+  const rows = await dbAll(`
+    SELECT MIN(time_taken) as time, MIN(COALESCE(hints_used, 0)) = 0 as unassisted
+    FROM scores
+    WHERE puzzle_id = ? AND puzzle_revision >= ?
+    GROUP BY user_id
+  `, [puzzleId, revision]);
+  return rows.map(row => ({ time: row.time, unassisted: row.unassisted === 1 }));
+};
+
+// Combine the stored solver metrics with the latest player results. This is
+// cheap, so it runs after every accepted score.
+const refreshPuzzleDifficulty = async (puzzleId) => {
+  const metrics = await dbGet('SELECT revision, structural_score FROM puzzle_difficulty WHERE puzzle_id = ?', [puzzleId]);
+  if (!metrics) {
+    return null;
+  }
+
+  const results = await getPlayerResults(puzzleId, metrics.revision);
+  const rating = Difficulty.rate(metrics.structural_score, results);
+  await dbRun(`
+    UPDATE puzzle_difficulty
+    SET player_count = ?, median_time = ?, unassisted_rate = ?, score = ?, tier = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE puzzle_id = ?
+  `, [
+    results.length,
+    rating.medianTime,
+    rating.unassistedRate,
+    rating.score,
+    rating.tier,
+    puzzleId
+  ]);
+  return rating;
+};
+
+// Solve the puzzle's current revision, store its solver metrics and rate it.
+// Unsolvable puzzles are left unrated.
+const ratePuzzle = async (puzzleId) => {
+  const puzzle = await dbGet('SELECT id, layout, revision FROM puzzles WHERE id = ?', [puzzleId]);
+  const level = puzzle && parsePuzzleLevel(puzzle);
+  if (!level) {
+    return null;
+  }
+
+  const solver = await Solver.solveAsync(level, solverOptions());
+  if (solver.status === 'unsolvable') {
+    await dbRun('DELETE FROM puzzle_difficulty WHERE puzzle_id = ?', [puzzle.id]);
+    return null;
+  }
+
+  const structural = Difficulty.structuralScore(solver, level.boxes.length);
+  await dbRun(`
+    INSERT OR REPLACE INTO puzzle_difficulty
+      (puzzle_id, revision, boxes, solver_status, solution_moves, solution_pushes, states_explored, structural_score, score, tier)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    puzzle.id,
+    puzzle.revision,
+    level.boxes.length,
+    solver.status,
+    solver.moves !== undefined ? solver.moves : null,
+    solver.pushes !== undefined ? solver.pushes : null,
+    solver.statesExplored,
+    structural,
+    structural,
+    Difficulty.tierFor(structural)
+  ]);
+  return refreshPuzzleDifficulty(puzzle.id);
+};
+
+// Rating runs the solver, so puzzles are rated one at a time in the background
+const ratingQueue = [];
+let ratingInProgress = false;
+
+const queueDifficultyRating = (puzzleId) => {
+  if (!ratingQueue.includes(puzzleId)) {
+    ratingQueue.push(puzzleId);
+  }
+  if (ratingInProgress) {
+    return;
+  }
+
+  ratingInProgress = true;
+  (async () => {
+    while (ratingQueue.length > 0) {
+      const next = ratingQueue.shift();
+      try {
+        await ratePuzzle(next);
+      } catch (error) {
+        console.error('Error rating puzzle difficulty:', next, error);
+      }
+    }
+    ratingInProgress = false;
+  })();
+};
+
+// Queue every puzzle that has no rating yet or was edited since it was rated
+const queueStaleDifficultyRatings = async () => {
+  const stale = await dbAll(`
+    SELECT p.id
+    FROM puzzles p
+    LEFT JOIN puzzle_difficulty d ON d.puzzle_id = p.id
+    WHERE d.puzzle_id IS NULL OR d.revision != p.revision
+    ORDER BY p.id ASC
+  `);
+  stale.forEach(row => queueDifficultyRating(row.id));
+  if (stale.length > 0) {
+    console.log(`📈 Rating the difficulty of ${stale.length} puzzle(s) in the background`);
+  }
+};
+
+// Check solvability of an unsaved layout (admin only)
+app.post('/api/puzzles/solve', authenticateToken, async (req, res) => {
+  try {
+    const { layout } = req.body;
+
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    if (!layout) {
+      return res.status(400).json({ error: 'Layout is required' });
+    }
+
+    let level;
+    try {
+      const parsedLayout = typeof layout === 'string' ? JSON.parse(layout) : layout;
+      level = SokobanRules.parseLevel(parsedLayout.grid);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid layout: ${error.message}` });
+    }
+
+    const solver = await Solver.solveAsync(level, solverOptions(req.body));
+    res.json({ solver });
+  } catch (error) {
+    console.error('Error solving layout:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run the solver on a stored puzzle (admin only)
+app.post('/api/puzzles/:id/solve', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const puzzle = await dbGet('SELECT id, name, layout FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const level = parsePuzzleLevel(puzzle);
+    if (!level) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    const solver = await Solver.solveAsync(level, solverOptions(req.body));
+    res.json({
+      puzzle: { id: puzzle.id, name: puzzle.name },
+      solver
+    });
+  } catch (error) {
+    console.error('Error solving puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// How a puzzle's difficulty rating was reached
+app.get('/api/puzzles/:id/difficulty', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const puzzle = await dbGet(`SELECT p.id, p.name, p.revision, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [id]);
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const difficulty = await dbGet('SELECT * FROM puzzle_difficulty WHERE puzzle_id = ?', [puzzle.id]);
+    if (!difficulty) {
+      return res.status(404).json({ error: 'This puzzle has not been rated yet' });
+    }
+
+    res.json({
+      puzzle: { id: puzzle.id, name: puzzle.name, revision: puzzle.revision },
+      difficulty
+    });
+  } catch (error) {
+    console.error('Error fetching puzzle difficulty:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rate a puzzle again right away (admin only)
+app.post('/api/puzzles/:id/difficulty', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const puzzle = await dbGet('SELECT id FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const rating = await ratePuzzle(puzzle.id);
+    if (!rating) {
+      return res.status(400).json({ error: 'Puzzle is unsolvable or its layout is invalid, so it cannot be rated' });
+    }
+
+    const difficulty = await dbGet('SELECT * FROM puzzle_difficulty WHERE puzzle_id = ?', [puzzle.id]);
+    res.json({ message: `Rated ${difficulty.tier} (${difficulty.score.toFixed(1)})`, difficulty });
+  } catch (error) {
+    console.error('Error rating puzzle difficulty:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate a new solvable level (admin only). The layout can be previewed and
+// then saved with POST /api/puzzles; nothing is stored here.
+app.post('/api/puzzles/generate', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const width = parseInt(req.body.width, 10) || Generator.DEFAULT_OPTIONS.width;
+    const height = parseInt(req.body.height, 10) || Generator.DEFAULT_OPTIONS.height;
+    const boxes = parseInt(req.body.boxes, 10) || Generator.DEFAULT_OPTIONS.boxes;
+    const difficulty = req.body.difficulty || Generator.DEFAULT_OPTIONS.difficulty;
+    const seed = req.body.seed !== undefined && req.body.seed !== null && req.body.seed !== ''
+      ? parseInt(req.body.seed, 10)
+      : null;
+
+    if (width < 5 || width > 20 || height < 5 || height > 20) {
+      return res.status(400).json({ error: 'Width and height must be between 5 and 20' });
+    }
+    if (boxes < 1 || boxes > 6) {
+      return res.status(400).json({ error: 'Box count must be between 1 and 6' });
+    }
+    if (!Generator.DIFFICULTIES[difficulty]) {
+      return res.status(400).json({ error: `Invalid difficulty, expected one of: ${Object.keys(Generator.DIFFICULTIES).join(', ')}` });
+    }
+    if (seed !== null && !Number.isInteger(seed)) {
+      return res.status(400).json({ error: 'Seed must be an integer' });
+    }
+
+    const generated = await Generator.generateAsync({
+      width,
+      height,
+      boxes,
+      difficulty,
+      seed,
+      timeLimitMs: parseInt(process.env.GENERATOR_TIME_LIMIT_MS, 10) || Generator.DEFAULT_OPTIONS.timeLimitMs,
+      memoryLimitMb: parseInt(process.env.SOLVER_MEMORY_MB, 10) || Generator.DEFAULT_OPTIONS.memoryLimitMb
+    });
+    if (!generated) {
+      return res.status(422).json({ error: 'Could not generate a level with these settings. Try a larger grid or fewer boxes.' });
+    }
+
+    res.json(generated);
+  } catch (error) {
+    console.error('Error generating puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Suggest the next few moves from the player's current position. The position
+// is given as the LURD moves made so far, or as the current grid. Hints are
+// only given during an open attempt, and count towards that attempt's score.
+app.post('/api/puzzles/:id/hint', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { moves, grid, attemptId } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), 50);
+
+    if (!attemptId) {
+      return res.status(400).json({ error: 'Valid attempt ID is required' });
+    }
+
+    const puzzle = await dbGet(`SELECT p.id, p.layout, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [id]);
+    if (!puzzle || (puzzle.status !== 'published' && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+    // Locked levels get no hints either; today's daily puzzle is open to everyone
+    if ((await getDailyPuzzleId(utcDate())) !== puzzle.id && !(await isPuzzleUnlocked(puzzle.id, req.user.id))) {
+      return res.status(403).json({ error: 'Solve the previous level in this collection first' });
+    }
+
+    const attempt = await dbGet(
+      'SELECT id FROM play_attempts WHERE id = ? AND user_id = ? AND puzzle_id = ? AND result IS NULL',
+      [attemptId, req.user.id, puzzle.id]
+    );
+    if (!attempt) {
+      return res.status(409).json({ error: 'No open attempt on this puzzle matches this hint' });
+    }
+
+    const level = parsePuzzleLevel(puzzle);
+    if (!level) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    let current;
+    if (grid) {
+      try {
+        current = SokobanRules.parseLevel(grid);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid grid: ${error.message}` });
+      }
+      if (current.map.join('\n') !== level.map.join('\n')) {
+        return res.status(400).json({ error: 'Grid does not match this puzzle' });
+      }
+    } else {
+      const replay = SokobanRules.replay(level, typeof moves === 'string' ? moves : '');
+      if (!replay.valid) {
+        return res.status(400).json({ error: replay.error });
+      }
+      current = replay.state;
+    }
+
+    if (SokobanRules.isSolved(current)) {
+      return res.json({ status: 'solved', moves: '' });
+    }
+
+    const hintTimeLimit = parseInt(process.env.HINT_TIME_LIMIT_MS, 10) || 3000;
+    const solver = await Solver.solveAsync(
+      Object.assign({}, current, { history: '' }),
+      solverOptions({ timeLimitMs: hintTimeLimit })
+    );
+
+    if (solver.status === 'unsolvable') {
+      return res.json({
+        status: 'unsolvable',
+        message: 'This position can no longer be solved. Undo some moves or reset the level.'
+      });
+    }
+    if (solver.status === 'timed_out') {
+      return res.json({
+        status: 'timed_out',
+        message: 'No hint could be found in time. Try again after a few more moves.'
+      });
+    }
+
+    // Record the hint against the attempt so it counts towards its score
+    await dbRun(
+      'INSERT INTO hint_requests (user_id, puzzle_id, attempt_id) VALUES (?, ?, ?)',
+      [req.user.id, puzzle.id, attempt.id]
+    );
+
+    res.json({
+      status: 'ok',
+      moves: solver.solution.slice(0, count),
+      remainingMoves: solver.moves,
+      remainingPushes: solver.pushes
+    });
+  } catch (error) {
+    console.error('Error generating hint:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import a multi-level XSB or SLC pack (admin only). The pack is sent either
+// as the raw request body (text/plain or XML) or as JSON { content, format }.
+app.post('/api/puzzles/import', authenticateToken, express.text({ type: ['text/*', 'application/xml'], limit: '5mb' }), async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const content = typeof req.body === 'string' ? req.body : req.body.content;
+    const options = typeof req.body === 'string' ? req.query : Object.assign({}, req.body, req.query);
+    const format = options.format;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Level pack content is required' });
+    }
+
+    // Imported levels are drafts unless a status is given, like new puzzles
+    const publishing = parsePuzzleStatus(options.status || 'draft', options.publishAt);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
+    }
+
+    let pack;
+    try {
+      pack = LevelFormats.parseLevelPack(content, format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (pack.levels.length === 0) {
+      return res.status(400).json({ error: 'No levels found in level pack' });
+    }
+
+    // Validate every level before creating any of them
+    const puzzles = [];
+    const errors = [];
+    pack.levels.forEach((entry, index) => {
+      const name = entry.title || `${pack.title || 'Imported level'} ${index + 1}`;
+      const validation = LevelValidator.validateGrid(entry.rows);
+      if (!validation.valid) {
+        errors.push({ index, name, error: validation.errors[0].message, errors: validation.errors });
+        return;
+      }
+      const level = SokobanRules.parseLevel(entry.rows);
+      puzzles.push({
+        name,
+        author: entry.author || null,
+        layout: JSON.stringify({ width: level.width, height: level.height, grid: SokobanRules.toGrid(level) })
+      });
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Some levels in the pack are invalid', errors });
+    }
+
+    // The pack becomes a collection with its levels in file order
+    const created = [];
+    const collection = { name: pack.title || `Imported pack (${puzzles.length} levels)`, author: pack.author || null };
+    await withTransaction(async () => {
+      const collectionResult = await dbRun(
+        'INSERT INTO collections (name, author, created_by) VALUES (?, ?, ?)',
+        [collection.name, collection.author, req.user.id]
+      );
+      collection.id = collectionResult.id;
+
+      for (const puzzle of puzzles) {
+        const size = layoutDimensions(puzzle.layout);
+        const result = await dbRun(
+          'INSERT INTO puzzles (name, layout, width, height, boxes, author, created_by, status, publish_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [puzzle.name, puzzle.layout, size.width, size.height, size.boxes, puzzle.author, req.user.id, publishing.status, publishing.publishAt]
+        );
+        await recordRevision(result.id, 1, puzzle.name, puzzle.layout, req.user.id, 'Imported');
+        await dbRun(
+          'INSERT INTO collection_puzzles (collection_id, puzzle_id, position) VALUES (?, ?, ?)',
+          [collection.id, result.id, created.length]
+        );
+        created.push({ id: result.id, name: puzzle.name, author: puzzle.author });
+      }
+    });
+    created.forEach(puzzle => queueDifficultyRating(puzzle.id));
+
+    res.status(201).json({
+      message: `Imported ${created.length} puzzles`,
+      collection,
+      format: pack.format,
+      status: publishing.status,
+      publish_at: publishing.publishAt,
+      puzzles: created
+    });
+  } catch (error) {
+    console.error('Error importing puzzles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete puzzle (admin only)
+app.delete('/api/puzzles/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    // Check if puzzle exists
+    const puzzle = await dbGet('SELECT id FROM puzzles WHERE id = ?', [id]);
+    if (!puzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    // Delete the puzzle with everything hanging off it, its scores included
+    // (archive a puzzle to retire it and keep them); approved submissions
+    // lose their link.
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM collection_puzzles WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM puzzle_revisions WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM puzzle_difficulty WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM puzzle_reviews WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM daily_puzzles WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM hint_requests WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM play_attempts WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM scores WHERE puzzle_id = ?', [id]);
+      await dbRun('UPDATE puzzle_submissions SET puzzle_id = NULL WHERE puzzle_id = ?', [id]);
+      await dbRun('DELETE FROM puzzles WHERE id = ?', [id]);
+    });
+
+    res.json({ message: 'Puzzle deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Collection routes
+// A collection's puzzles in play order. Each puzzle says whether the user has
+// solved it and whether it is unlocked: the first puzzle always is, the rest
+// once the one before it is solved. Without a user nothing is solved.
+// Unpublished puzzles are left out unless includeHidden is set (for admins).
+const getCollectionPuzzles = async (collectionId, userId, includeHidden = false) => {
+  const puzzles = await dbAll(`
+    SELECT p.id, p.name, p.layout, p.author, ${puzzleStatusSql()} as status, cp.position,
+      ROUND(d.score, 1) as difficulty_score, d.tier as difficulty_tier,
+      EXISTS (SELECT 1 FROM scores s WHERE s.puzzle_id = p.id AND s.user_id = ?) as solved
+    FROM collection_puzzles cp
+    JOIN puzzles p ON p.id = cp.puzzle_id
+    LEFT JOIN puzzle_difficulty d ON d.puzzle_id = p.id
+    WHERE cp.collection_id = ?${includeHidden ? '' : ` AND ${puzzleVisibleSql()}`}
+    ORDER BY cp.position ASC
+  `, [userId || null, collectionId]);
+
+  const solved = puzzles.map(puzzle => puzzle.solved === 1);
+  return puzzles.map((puzzle, index) => Object.assign(puzzle, {
+    solved: solved[index],
+    unlocked: index === 0 || solved[index - 1]
+  }));
+};
+
+// A puzzle is playable for a user if it is in no collection, or if in any of
+// its collections it comes first or follows a puzzle they have solved.
+// Unpublished puzzles are skipped when looking for the previous one.
+const isPuzzleUnlocked = async (puzzleId, userId) => {
+  const memberships = await dbAll(`
+    SELECT
+      (SELECT prev.puzzle_id FROM collection_puzzles prev
+       JOIN puzzles p ON p.id = prev.puzzle_id
+       WHERE prev.collection_id = cp.collection_id AND prev.position < cp.position AND ${puzzleVisibleSql()}
+       ORDER BY prev.position DESC LIMIT 1) as previous_id
+    FROM collection_puzzles cp
+    WHERE cp.puzzle_id = ?
+  `, [puzzleId]);
+
+  if (memberships.length === 0 || memberships.some(row => row.previous_id === null)) {
+    return true;
+  }
+
+  const previousIds = memberships.map(row => row.previous_id);
+  const solved = await dbGet(`
+    SELECT 1 as solved FROM scores
+    WHERE user_id = ? AND puzzle_id IN (${previousIds.map(() => '?').join(', ')})
+    LIMIT 1
+  `, [userId, ...previousIds]);
+  return Boolean(solved);
+};
+
+// Check a list of puzzle ids for a collection. Returns an error message or null.
+const validateCollectionPuzzleIds = async (puzzleIds) => {
+  if (!Array.isArray(puzzleIds) || !puzzleIds.every(id => Number.isInteger(id) && id > 0)) {
+    return 'puzzleIds must be an array of puzzle IDs';
+  }
+  if (new Set(puzzleIds).size !== puzzleIds.length) {
+    return 'puzzleIds must not contain duplicates';
+  }
+  if (puzzleIds.length === 0) {
+    return null;
+  }
+
+  const found = await dbAll(
+    `SELECT id FROM puzzles WHERE id IN (${puzzleIds.map(() => '?').join(', ')})`,
+    puzzleIds
+  );
+  const foundIds = new Set(found.map(row => row.id));
+  const missing = puzzleIds.filter(id => !foundIds.has(id));
+  return missing.length > 0 ? `Puzzles not found: ${missing.join(', ')}` : null;
+};
+
+// Replace a collection's puzzle list (call inside a transaction)
+const setCollectionPuzzles = async (collectionId, puzzleIds) => {
+  await dbRun('DELETE FROM collection_puzzles WHERE collection_id = ?', [collectionId]);
+  for (let position = 0; position < puzzleIds.length; position++) {
+    await dbRun(
+      'INSERT INTO collection_puzzles (collection_id, puzzle_id, position) VALUES (?, ?, ?)',
+      [collectionId, puzzleIds[position], position]
+    );
+  }
+};
+
+// Collections with how many of their published puzzles a user has solved
+// (none for a null user)
+const getCollectionProgress = (userId) => dbAll(`
+  SELECT c.id, c.slug, c.name, c.description, c.author, c.built_in, c.created_at,
+    COUNT(cp.puzzle_id) as puzzle_count,
+    COUNT(s.puzzle_id) as solved_count
+  FROM collections c
+  LEFT JOIN (
+    SELECT cp.collection_id, cp.puzzle_id
+    FROM collection_puzzles cp
+    JOIN puzzles p ON p.id = cp.puzzle_id
+    WHERE ${puzzleVisibleSql()}
+  ) cp ON cp.collection_id = c.id
+  LEFT JOIN (SELECT DISTINCT puzzle_id FROM scores WHERE user_id = ?) s ON s.puzzle_id = cp.puzzle_id
+  GROUP BY c.id
+  ORDER BY c.built_in DESC, c.id ASC
+`, [userId]);
+
+app.get('/api/collections', optionalAuth, async (req, res) => {
+  try {
+    const collections = await getCollectionProgress(req.user ? req.user.id : null);
+
+    res.json({
+      collections: collections.map(collection => Object.assign(collection, { built_in: collection.built_in === 1 }))
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a collection with its puzzles and the user's progress through it.
+// Admins can pass ?status=all to include unpublished puzzles, and
+// ?summary=true leaves out the layouts.
+app.get('/api/collections/:id', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const includeHidden = req.query.status === 'all';
+    if (includeHidden && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const collection = await dbGet(`
+      SELECT id, slug, name, description, author, built_in, created_at
+      FROM collections
+      WHERE id = ?
+    `, [id]);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const puzzles = await getCollectionPuzzles(collection.id, req.user && req.user.id, includeHidden);
+    collection.built_in = collection.built_in === 1;
+    if (req.query.summary === 'true') {
+      puzzles.forEach(puzzle => delete puzzle.layout);
+    }
+
+    res.json({
+      collection,
+      puzzles,
+      progress: {
+        solved: puzzles.filter(puzzle => puzzle.solved).length,
+        total: puzzles.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a collection (admin only)
+app.post('/api/collections', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { name, description, author, puzzleIds = [] } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Collection name is required' });
+    }
+
+    const puzzleError = await validateCollectionPuzzleIds(puzzleIds);
+    if (puzzleError) {
+      return res.status(400).json({ error: puzzleError });
+    }
+
+    const result = await withTransaction(async () => {
+      const inserted = await dbRun(
+        'INSERT INTO collections (name, description, author, created_by) VALUES (?, ?, ?, ?)',
+        [String(name).trim(), description || null, author || null, req.user.id]
+      );
+      await setCollectionPuzzles(inserted.id, puzzleIds);
+      return inserted;
+    });
+
+    res.status(201).json({
+      message: 'Collection created successfully',
+      collection: {
+        id: result.id,
+        name: String(name).trim(),
+        description: description || null,
+        author: author || null,
+        puzzle_ids: puzzleIds
+      }
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a collection's details and/or replace its ordered puzzle list (admin only)
+app.put('/api/collections/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const collection = await dbGet('SELECT id, name, description, author FROM collections WHERE id = ?', [id]);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const { name, description, author, puzzleIds } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Collection name cannot be empty' });
+    }
+    if (puzzleIds !== undefined) {
+      const puzzleError = await validateCollectionPuzzleIds(puzzleIds);
+      if (puzzleError) {
+        return res.status(400).json({ error: puzzleError });
+      }
+    }
+
+    const updated = {
+      name: name !== undefined ? String(name).trim() : collection.name,
+      description: description !== undefined ? description || null : collection.description,
+      author: author !== undefined ? author || null : collection.author
+    };
+
+    await withTransaction(async () => {
+      await dbRun(
+        'UPDATE collections SET name = ?, description = ?, author = ? WHERE id = ?',
+        [updated.name, updated.description, updated.author, collection.id]
+      );
+      if (puzzleIds !== undefined) {
+        await setCollectionPuzzles(collection.id, puzzleIds);
+      }
+    });
+
+    res.json({
+      message: 'Collection updated successfully',
+      collection: Object.assign({ id: collection.id }, updated)
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a collection, keeping its puzzles (admin only)
+app.delete('/api/collections/:id', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const collection = await dbGet('SELECT id, built_in FROM collections WHERE id = ?', [id]);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    if (collection.built_in === 1) {
+      return res.status(400).json({ error: 'Built-in collections cannot be deleted' });
+    }
+
+    await dbRun('DELETE FROM collection_puzzles WHERE collection_id = ?', [id]);
+    await dbRun('DELETE FROM collections WHERE id = ?', [id]);
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submission routes
+// pending -> approved | rejected | changes_requested; a submission with
+// changes requested goes back to pending when its author resubmits it
+const SUBMISSION_STATUSES = ['pending', 'changes_requested', 'approved', 'rejected'];
+
+// With SUBMISSION_REQUIRE_SOLUTION=true players must prove their level can be
+// solved by including a solution
+const submissionRequiresSolution = () => process.env.SUBMISSION_REQUIRE_SOLUTION === 'true';
+
+// Check a submitted name, layout and LURD solution. Returns { error, errors }
+// or { name, layout, solution } with the layout as a JSON string.
+const parseSubmission = ({ name, layout, solution }) => {
+  if (!name || !String(name).trim() || !layout) {
+    return { error: 'Name and layout are required' };
+  }
+
+  const layoutText = typeof layout === 'string' ? layout : JSON.stringify(layout);
+  const validation = LevelValidator.validateLayout(layoutText);
+  if (!validation.valid) {
+    return { error: 'Invalid puzzle layout', errors: validation.errors };
+  }
+  const parsedLayout = JSON.parse(layoutText);
+
+  const moves = typeof solution === 'string' ? solution.trim() : '';
+  if (!moves) {
+    if (submissionRequiresSolution()) {
+      return { error: 'A solution (LURD moves) is required to prove the level can be solved' };
+    }
+    return { name: String(name).trim(), layout: JSON.stringify(parsedLayout), solution: null };
+  }
+
+  const replay = SokobanRules.replay(SokobanRules.parseLevel(parsedLayout.grid), moves);
+  if (!replay.valid) {
+    return { error: `Invalid solution: ${replay.error}` };
+  }
+  if (!SokobanRules.isSolved(replay.state)) {
+    return { error: 'The solution does not solve the level' };
+  }
+  return { name: String(name).trim(), layout: JSON.stringify(parsedLayout), solution: moves };
+};
+
+// Submit a level to the moderation queue (any logged-in player)
+app.post('/api/submissions', authenticateToken, async (req, res) => {
+  try {
+    const submission = parseSubmission(req.body);
+    if (submission.error) {
+      return res.status(400).json({ error: submission.error, errors: submission.errors });
+    }
+
+    const result = await dbRun(
+      'INSERT INTO puzzle_submissions (user_id, name, layout, solution) VALUES (?, ?, ?, ?)',
+      [req.user.id, submission.name, submission.layout, submission.solution]
+    );
+
+    res.status(201).json({
+      message: 'Level submitted for review',
+      submission: { id: result.id, name: submission.name, status: 'pending' }
+    });
+  } catch (error) {
+    console.error('Error submitting puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The logged-in player's submissions, newest first
+app.get('/api/submissions/mine', authenticateToken, async (req, res) => {
+  try {
+    const submissions = await dbAll(`
+      SELECT id, name, layout, solution, status, moderator_note, puzzle_id, created_at, updated_at, reviewed_at
+      FROM puzzle_submissions
+      WHERE user_id = ?
+      ORDER BY updated_at DESC, id DESC
+    `, [req.user.id]);
+
+    res.json({ submissions, requireSolution: submissionRequiresSolution() });
+  } catch (error) {
+    console.error('Error fetching submissions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a submission that is still pending or had changes requested. It goes
+// (back) into the queue as pending.
+app.put('/api/submissions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await dbGet('SELECT id, user_id, status FROM puzzle_submissions WHERE id = ?', [id]);
+    if (!existing || existing.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    if (existing.status !== 'pending' && existing.status !== 'changes_requested') {
+      return res.status(409).json({ error: `This submission was already ${existing.status}` });
+    }
+
+    const submission = parseSubmission(req.body);
+    if (submission.error) {
+      return res.status(400).json({ error: submission.error, errors: submission.errors });
+    }
+
+    await dbRun(`
+      UPDATE puzzle_submissions
+      SET name = ?, layout = ?, solution = ?, status = 'pending', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [submission.name, submission.layout, submission.solution, existing.id]);
+
+    res.json({
+      message: 'Submission updated and back in the queue',
+      submission: { id: existing.id, name: submission.name, status: 'pending' }
+    });
+  } catch (error) {
+    console.error('Error updating submission:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The moderation queue, oldest first (admin only). ?status= takes a status
+// or all; the default is pending.
+app.get('/api/submissions', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { status = 'pending' } = req.query;
+    if (status !== 'all' && !SUBMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status, expected all or one of: ${SUBMISSION_STATUSES.join(', ')}` });
+    }
+
+    const submissions = await dbAll(`
+      SELECT s.id, s.name, s.layout, s.solution, s.status, s.moderator_note, s.puzzle_id,
+        s.created_at, s.updated_at, s.reviewed_at, u.username as submitted_by_username,
+        m.username as reviewed_by_username
+      FROM puzzle_submissions s
+      JOIN users u ON s.user_id = u.id
+      LEFT JOIN users m ON s.reviewed_by = m.id
+      ${status !== 'all' ? 'WHERE s.status = ?' : ''}
+      ORDER BY s.updated_at ASC, s.id ASC
+    `, status !== 'all' ? [status] : []);
+
+    res.json({ submissions });
+  } catch (error) {
+    console.error('Error fetching submission queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a pending submission for a moderation action, or send the error
+const getPendingSubmission = async (req, res) => {
+  if (req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Admin access required' });
+    return null;
+  }
+
+  const submission = await dbGet(`
+    SELECT s.*, u.username as submitted_by_username
+    FROM puzzle_submissions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = ?
+  `, [req.params.id]);
+  if (!submission) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  if (submission.status !== 'pending') {
+    res.status(409).json({ error: `Only pending submissions can be moderated (this one is ${submission.status.replace('_', ' ')})` });
+    return null;
+  }
+  return submission;
+};
+
+// Approve a submission (admin only). It becomes a puzzle credited to its
+// submitter; status defaults to published, and collectionId appends it to a
+// collection.
+app.post('/api/submissions/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const submission = await getPendingSubmission(req, res);
+    if (!submission) return;
+
+    const { status = 'published', publishAt, collectionId, note } = req.body;
+    const publishing = parsePuzzleStatus(status, publishAt);
+    if (publishing.error) {
+      return res.status(400).json({ error: publishing.error });
+    }
+    if (collectionId !== undefined && collectionId !== null) {
+      const collection = await dbGet('SELECT id FROM collections WHERE id = ?', [collectionId]);
+      if (!collection) {
+        return res.status(400).json({ error: 'Collection not found' });
+      }
+    }
+
+    const size = layoutDimensions(submission.layout);
+    const result = await withTransaction(async () => {
+      // Claim the submission first so two moderators can't both approve it
+      const claimed = await dbRun(`
+        UPDATE puzzle_submissions
+        SET status = 'approved', moderator_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `, [note ? String(note).trim() : null, req.user.id, submission.id]);
+      if (claimed.changes === 0) {
+        return null;
+      }
+
+      const inserted = await dbRun(
+        'INSERT INTO puzzles (name, layout, width, height, boxes, author, created_by, status, publish_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [submission.name, submission.layout, size.width, size.height, size.boxes, submission.submitted_by_username, submission.user_id, publishing.status, publishing.publishAt]
+      );
+      await recordRevision(inserted.id, 1, submission.name, submission.layout, submission.user_id, `Approved from submission #${submission.id}`);
+      if (collectionId !== undefined && collectionId !== null) {
+        await dbRun(`
+          INSERT INTO collection_puzzles (collection_id, puzzle_id, position)
+          SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM collection_puzzles WHERE collection_id = ?
+        `, [collectionId, inserted.id, collectionId]);
+      }
+      await dbRun('UPDATE puzzle_submissions SET puzzle_id = ? WHERE id = ?', [inserted.id, submission.id]);
+      return inserted;
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'This submission has already been moderated' });
+    }
+    queueDifficultyRating(result.id);
+
+    res.json({
+      message: `Approved as puzzle ${result.id}`,
+      puzzle: { id: result.id, name: submission.name, status: publishing.status, publish_at: publishing.publishAt }
+    });
+  } catch (error) {
+    console.error('Error approving submission:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject a submission with a reason, or ask its author for changes with a
+// note (admin only). The submitter sees the reason or note.
+const moderateSubmission = (status, field, label) => async (req, res) => {
+  try {
+    const submission = await getPendingSubmission(req, res);
+    if (!submission) return;
+
+    const note = req.body[field];
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ error: `A ${field} is required` });
+    }
+
+    const result = await dbRun(`
+      UPDATE puzzle_submissions
+      SET status = ?, moderator_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [status, String(note).trim(), req.user.id, submission.id]);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: 'This submission has already been moderated' });
+    }
+
+    res.json({ message: `Submission ${label}` });
+  } catch (error) {
+    console.error('Error moderating submission:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.post('/api/submissions/:id/reject', authenticateToken, moderateSubmission('rejected', 'reason', 'rejected'));
+app.post('/api/submissions/:id/request-changes', authenticateToken, moderateSubmission('changes_requested', 'note', 'sent back for changes'));
+
+// Review routes
+const REVIEW_MAX_LENGTH = 500;
+
+// Reviews of a puzzle, newest first, with the average rating. Logged-in
+// players also get their own review (even if hidden) and whether they may
+// review the puzzle, which needs a score on it.
+app.get('/api/puzzles/:id/reviews', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const puzzle = await dbGet(`
+      SELECT p.id, ${puzzleStatusSql()} as status, ${ratingSummarySql()}
+      FROM puzzles p
+      WHERE p.id = ?
+    `, [id]);
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const reviews = await dbAll(`
+      SELECT r.id, r.rating, r.review, r.created_at, r.updated_at, u.username
+      FROM puzzle_reviews r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.puzzle_id = ? AND r.hidden = 0
+      ORDER BY r.updated_at DESC, r.id DESC
+    `, [puzzle.id]);
+
+    let mine = null;
+    let canReview = false;
+    if (req.user) {
+      mine = await dbGet(
+        'SELECT id, rating, review, hidden, created_at, updated_at FROM puzzle_reviews WHERE puzzle_id = ? AND user_id = ?',
+        [puzzle.id, req.user.id]
+      );
+      if (mine) {
+        mine.hidden = mine.hidden === 1;
+      }
+      canReview = Boolean(await dbGet('SELECT 1 as solved FROM scores WHERE puzzle_id = ? AND user_id = ? LIMIT 1', [puzzle.id, req.user.id]));
+    }
+
+    res.json({
+      rating: { average: puzzle.rating_average, count: puzzle.rating_count },
+      reviews,
+      mine,
+      canReview
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rate a completed puzzle 1-5 with an optional review. Rating again replaces
+// the player's earlier review.
+app.put('/api/puzzles/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating } = req.body;
+    const review = req.body.review ? String(req.body.review).trim() : '';
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+    if (review.length > REVIEW_MAX_LENGTH) {
+      return res.status(400).json({ error: `Reviews can be at most ${REVIEW_MAX_LENGTH} characters` });
+    }
+
+    const puzzle = await dbGet(`SELECT p.id, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [id]);
+    if (!puzzle || (puzzle.status !== 'published' && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const solved = await dbGet('SELECT 1 as solved FROM scores WHERE puzzle_id = ? AND user_id = ? LIMIT 1', [puzzle.id, req.user.id]);
+    if (!solved) {
+      return res.status(403).json({ error: 'Complete this puzzle before reviewing it' });
+    }
+
+    // A hidden review stays hidden when its author edits it
+    const existing = await dbGet('SELECT id FROM puzzle_reviews WHERE puzzle_id = ? AND user_id = ?', [puzzle.id, req.user.id]);
+    if (existing) {
+      await dbRun(
+        'UPDATE puzzle_reviews SET rating = ?, review = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [rating, review || null, existing.id]
+      );
+    } else {
+      await dbRun(
+        'INSERT INTO puzzle_reviews (puzzle_id, user_id, rating, review) VALUES (?, ?, ?, ?)',
+        [puzzle.id, req.user.id, rating, review || null]
+      );
+    }
+
+    const saved = await dbGet(
+      'SELECT id, rating, review, hidden, created_at, updated_at FROM puzzle_reviews WHERE puzzle_id = ? AND user_id = ?',
+      [puzzle.id, req.user.id]
+    );
+    saved.hidden = saved.hidden === 1;
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Review updated' : 'Thanks for your review!',
+      review: saved
+    });
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete your own review
+app.delete('/api/puzzles/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await dbRun('DELETE FROM puzzle_reviews WHERE puzzle_id = ? AND user_id = ?', [id, req.user.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reviews across all puzzles for moderation, newest first (admin only).
+// ?hidden=true or ?hidden=false limits the list to hidden or visible reviews.
+app.get('/api/reviews', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { hidden } = req.query;
+    if (hidden !== undefined && hidden !== 'true' && hidden !== 'false') {
+      return res.status(400).json({ error: 'hidden must be true or false' });
+    }
+
+    const reviews = await dbAll(`
+      SELECT r.id, r.puzzle_id, p.name as puzzle_name, r.rating, r.review, r.hidden, r.created_at, r.updated_at,
+        u.username, m.username as hidden_by_username
+      FROM puzzle_reviews r
+      JOIN puzzles p ON r.puzzle_id = p.id
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN users m ON r.hidden_by = m.id
+      ${hidden !== undefined ? 'WHERE r.hidden = ?' : ''}
+      ORDER BY r.updated_at DESC, r.id DESC
+      LIMIT 200
+    `, hidden !== undefined ? [hidden === 'true' ? 1 : 0] : []);
+
+    res.json({
+      reviews: reviews.map(review => Object.assign(review, { hidden: review.hidden === 1 }))
+    });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hide or show a review (admin only)
+app.put('/api/reviews/:id/hidden', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { id } = req.params;
+    const { hidden } = req.body;
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ error: 'hidden must be true or false' });
+    }
+
+    const result = await dbRun(
+      'UPDATE puzzle_reviews SET hidden = ?, hidden_by = ? WHERE id = ?',
+      [hidden ? 1 : 0, hidden ? req.user.id : null, id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ message: hidden ? 'Review hidden' : 'Review visible again' });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Daily challenge routes
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC calendar date as YYYY-MM-DD
+const utcDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && utcDate(new Date(`${value}T00:00:00Z`)) === value;
+
+// The puzzle of the day: the admin's pick if it is published, otherwise one
+// chosen by rotating through published puzzles. The choice is stored so the
+// day keeps its puzzle even if puzzles are added later, but never over a row
+// that is already there. Null if there are none.
+const getDailyPuzzleId = async (date) => {
+  const storedPuzzleId = async () => {
+    const stored = await dbGet(`
+      SELECT d.puzzle_id
+      FROM daily_puzzles d
+      JOIN puzzles p ON p.id = d.puzzle_id
+      WHERE d.date = ? AND ${puzzleVisibleSql()}
+    `, [date]);
+    return stored ? stored.puzzle_id : null;
+  };
+
+  const queued = await storedPuzzleId();
+  if (queued) {
+    return queued;
+  }
+
+  const puzzles = await dbAll(`SELECT p.id FROM puzzles p WHERE ${puzzleVisibleSql()} ORDER BY p.id ASC`);
+  if (puzzles.length === 0) {
+    return null;
+  }
+
+  const dayNumber = Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  const puzzleId = puzzles[dayNumber % puzzles.length].id;
+  await dbRun('INSERT OR IGNORE INTO daily_puzzles (date, puzzle_id) VALUES (?, ?)', [date, puzzleId]);
+  // Another request may have stored the day first
+  return (await storedPuzzleId()) || puzzleId;
+};
+
+// Consecutive days with a daily score. The current streak is still alive
+// until the end of the day after the last one played.
+const getDailyStreak = async (userId, today) => {
+  const rows = await dbAll(
+    'SELECT DISTINCT daily_date FROM scores WHERE user_id = ? AND daily_date IS NOT NULL ORDER BY daily_date ASC',
+    [userId]
+  );
+  const days = rows.map(row => Date.parse(`${row.daily_date}T00:00:00Z`) / DAY_MS);
+
+  let best = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && day - days[index - 1] === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  const todayNumber = Date.parse(`${today}T00:00:00Z`) / DAY_MS;
+  const last = days[days.length - 1];
+  return {
+    current: last !== undefined && todayNumber - last <= 1 ? run : 0,
+    best,
+    playedToday: last === todayNumber
+  };
+};
+
+// Today's puzzle with its leaderboard (each player's best time today) and,
+// when logged in, the player's streak
+app.get('/api/daily', optionalAuth, async (req, res) => {
+  try {
+    const today = utcDate();
+    const puzzleId = await getDailyPuzzleId(today);
+    if (!puzzleId) {
+      return res.status(404).json({ error: 'No puzzle is available for the daily challenge' });
+    }
+
+    const puzzle = await dbGet(`
+      SELECT p.id, p.name, p.layout, p.author, p.revision, u.username as created_by_username
+      FROM puzzles p
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE p.id = ?
+    `, [puzzleId]);
+
+    const leaderboard = await dbAll(`
+      SELECT
+        MIN(s.time_taken) as time_taken,
+        s.moves,
+        s.pushes,
+        COALESCE(s.hints_used, 0) > 0 as hinted,
+        s.completed_at,
+        u.username
+      FROM scores s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.puzzle_id = ? AND s.daily_date = ?
+      GROUP BY s.user_id
+      ORDER BY time_taken ASC, s.moves ASC
+      LIMIT 10
+    `, [puzzleId, today]);
+
+    res.json({
+      date: today,
+      resetsAt: new Date(Date.parse(`${today}T00:00:00Z`) + DAY_MS).toISOString(),
+      puzzle,
+      leaderboard: leaderboard.map(entry => Object.assign(entry, { hinted: entry.hinted === 1 })),
+      streak: req.user ? await getDailyStreak(req.user.id, today) : null
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Error fetching daily challenge:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Upcoming daily puzzles, including today's (admin only)
+app.get('/api/daily/schedule', authenticateToken, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
 
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+    const schedule = await dbAll(`
+      SELECT d.date, d.puzzle_id, p.name, ${puzzleStatusSql()} as status, u.username as created_by_username
+      FROM daily_puzzles d
+      JOIN puzzles p ON p.id = d.puzzle_id
+      LEFT JOIN users u ON d.created_by = u.id
+      WHERE d.date >= ?
+      ORDER BY d.date ASC
+    `, [utcDate()]);
+
+    res.json({ schedule });
+  } catch (error) {
+    console.error('Error fetching daily schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Queue a puzzle for a future day (admin only). Today's puzzle can't be
+// changed once its leaderboard is open.
+app.put('/api/daily/:date', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // Find user
-    const user = await dbGet('SELECT id, username, email, password_hash, role FROM users WHERE username = ?', [username]);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+    if (date <= utcDate()) {
+      return res.status(400).json({ error: 'Only future days can be scheduled' });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const puzzle = await dbGet('SELECT id, name, status, publish_at FROM puzzles WHERE id = ?', [req.body.puzzleId]);
+    if (!puzzle) {
+      return res.status(400).json({ error: 'Puzzle not found' });
+    }
+    // The puzzle has to be out by the time the day starts
+    const publishedBy = puzzle.status === 'published' ||
+      (puzzle.status === 'scheduled' && puzzle.publish_at <= `${date} 00:00:00`);
+    if (!publishedBy) {
+      return res.status(400).json({ error: 'Only puzzles published by the start of that day can be scheduled' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    await dbRun(
+      'INSERT OR REPLACE INTO daily_puzzles (date, puzzle_id, created_by) VALUES (?, ?, ?)',
+      [date, puzzle.id, req.user.id]
     );
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
+      message: `${puzzle.name} is the daily puzzle for ${date}`,
+      daily: { date, puzzle_id: puzzle.id }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Error scheduling daily puzzle:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-  res.json({
-    user: {
-      id: req.user.id,
-      username: req.user.username,
-      email: req.user.email,
-      role: req.user.role
+// Remove a queued day so it falls back to rotation (admin only)
+app.delete('/api/daily/:date', authenticateToken, async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
     }
-  });
+
+    const { date } = req.params;
+    if (!isValidDate(date) || date <= utcDate()) {
+      return res.status(400).json({ error: 'Only future days can be unscheduled' });
+    }
+
+    const result = await dbRun('DELETE FROM daily_puzzles WHERE date = ?', [date]);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'No puzzle is scheduled for that day' });
+    }
+
+    res.json({ message: `Daily puzzle for ${date} removed` });
+  } catch (error) {
+    console.error('Error removing daily puzzle:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Puzzle routes
-app.get('/api/puzzles', async (req, res) => {
+// Profile routes
+const PROFILE_HISTORY_LIMIT = 20;
+
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+// Public profile of a player: totals, best run on each puzzle with their rank
+// among players on its current leaderboard (by best time since the last
+// reset, returned as ranked_time), recent runs,
+// progress through each collection and sprint results. Only published
+// puzzles count.
+app.get('/api/users/:username/profile', async (req, res) => {
   try {
-    const puzzles = await dbAll(`
-      SELECT p.id, p.name, p.layout, p.created_at, u.username as created_by_username
-      FROM puzzles p
-      LEFT JOIN users u ON p.created_by = u.id
-      ORDER BY p.id ASC
-    `);
+    const user = await dbGet('SELECT id, username, role, created_at FROM users WHERE username = ?', [req.params.username]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const totals = await dbGet(`
+      SELECT COUNT(DISTINCT s.puzzle_id) as puzzles_solved, COUNT(s.id) as runs, COALESCE(SUM(s.time_taken), 0) as total_play_time
+      FROM scores s
+      JOIN puzzles p ON p.id = s.puzzle_id
+      WHERE s.user_id = ? AND ${puzzleVisibleSql()}
+    `, [user.id]);
+    const published = await dbGet(`SELECT COUNT(*) as count FROM puzzles p WHERE ${puzzleVisibleSql()}`);
+
+    const personalBests = await dbAll(`
+      WITH ranked AS (
+        SELECT s.puzzle_id, s.user_id, MIN(s.time_taken) as best_time
+        FROM scores s
+        JOIN puzzles p ON p.id = s.puzzle_id
+        WHERE s.puzzle_revision >= p.leaderboard_revision
+        GROUP BY s.puzzle_id, s.user_id
+      )
+      SELECT s.puzzle_id, p.name as puzzle_name,
+        MIN(s.time_taken) as best_time, MIN(s.moves) as best_moves, MIN(s.pushes) as best_pushes,
+        COUNT(s.id) as runs, MAX(s.completed_at) as last_completed_at, r.best_time as ranked_time,
+        CASE WHEN r.best_time IS NULL THEN NULL ELSE
+          (SELECT COUNT(*) + 1 FROM ranked o WHERE o.puzzle_id = s.puzzle_id AND o.best_time < r.best_time)
+        END as rank,
+        (SELECT COUNT(*) FROM ranked o WHERE o.puzzle_id = s.puzzle_id) as ranked_players
+      FROM scores s
+      JOIN puzzles p ON p.id = s.puzzle_id
+      LEFT JOIN ranked r ON r.puzzle_id = s.puzzle_id AND r.user_id = s.user_id
+      WHERE s.user_id = ? AND ${puzzleVisibleSql()}
+      GROUP BY s.puzzle_id
+      ORDER BY s.puzzle_id ASC
+    `, [user.id]);
+
+    const recentActivity = await dbAll(`
+      SELECT s.id, s.puzzle_id, p.name as puzzle_name, s.time_taken, s.moves, s.pushes,
+        COALESCE(s.hints_used, 0) > 0 as hinted, s.solution IS NOT NULL as has_replay, s.completed_at
+      FROM scores s
+      JOIN puzzles p ON p.id = s.puzzle_id
+      WHERE s.user_id = ? AND ${puzzleVisibleSql()}
+      ORDER BY s.completed_at DESC, s.id DESC
+      LIMIT ?
+    `, [user.id, PROFILE_HISTORY_LIMIT]);
+
+    const collections = await getCollectionProgress(user.id);
+
+    // Placement is 1 + the number of players with more taps in the same game
+    const sprintTotals = await dbGet(`
+      SELECT COUNT(*) as games_played, MAX(sr.taps) as best_taps,
+        COALESCE(SUM(NOT EXISTS (SELECT 1 FROM sprint_results o WHERE o.game_id = sr.game_id AND o.taps > sr.taps)), 0) as wins
+      FROM sprint_results sr
+      WHERE sr.user_id = ?
+    `, [user.id]);
+    const sprintHistory = await dbAll(`
+      SELECT sr.game_id, sr.taps, sr.created_at,
+        (SELECT COUNT(*) + 1 FROM sprint_results o WHERE o.game_id = sr.game_id AND o.taps > sr.taps) as placement,
+        (SELECT COUNT(*) FROM sprint_results o WHERE o.game_id = sr.game_id) as players
+      FROM sprint_results sr
+      WHERE sr.user_id = ?
+      ORDER BY sr.created_at DESC, sr.id DESC
+      LIMIT ?
+    `, [user.id, PROFILE_HISTORY_LIMIT]);
 
-    res.json({ puzzles });
+    res.json({
+      profile: {
+        user: { id: user.id, username: user.username, role: user.role, member_since: user.created_at },
+        stats: {
+          puzzles_solved: totals.puzzles_solved,
+          published_puzzles: published.count,
+          completion: percent(totals.puzzles_solved, published.count),
+          runs: totals.runs,
+          total_play_time: totals.total_play_time
+        },
+        personal_bests: personalBests,
+        recent_activity: recentActivity.map(entry => Object.assign(entry, {
+          hinted: entry.hinted === 1,
+          has_replay: entry.has_replay === 1
+        })),
+        collections: collections.map(collection => ({
+          id: collection.id,
+          name: collection.name,
+          puzzle_count: collection.puzzle_count,
+          solved_count: collection.solved_count,
+          completion: percent(collection.solved_count, collection.puzzle_count)
+        })),
+        sprint: {
+          games_played: sprintTotals.games_played,
+          best_taps: sprintTotals.best_taps,
+          wins: sprintTotals.wins,
+          recent: sprintHistory
+        }
+      }
+    });
   } catch (error) {
-    console.error('Error fetching puzzles:', error);
+    console.error('Error fetching profile:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/puzzles/:id', async (req, res) => {
+// Attempt routes
+// The game opens an attempt when a level loads and closes it when the level
+// is left (abandoned) or restarted (reset). Saving a score closes it as
+// solved, and the score's time is measured from the attempt's start.
+const ATTEMPT_CLOSE_RESULTS = ['abandoned', 'reset'];
+// Attempts left open this long (a closed tab, a lost connection) count as abandoned
+const ATTEMPT_STALE_HOURS = 24;
+
+// Attempt times keep milliseconds; SQLite's date functions still read them
+const attemptTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 23);
+const attemptElapsedMs = (attempt, now) => now - new Date(`${attempt.started_at.replace(' ', 'T')}Z`);
+
+// Close an open attempt at now. Returns false if it was already closed.
+const closeAttempt = async (attempt, result, now) => {
+  const { changes } = await dbRun(
+    'UPDATE play_attempts SET result = ?, ended_at = ?, elapsed_ms = ? WHERE id = ? AND result IS NULL',
+    [result, attemptTimestamp(now), attemptElapsedMs(attempt, now), attempt.id]
+  );
+  return changes === 1;
+};
+
+// Open an attempt. Earlier attempts of the player on the puzzle that are
+// still open are closed as abandoned.
+app.post('/api/attempts', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const puzzle = await dbGet(`
-      SELECT p.id, p.name, p.layout, p.created_at, u.username as created_by_username
-      FROM puzzles p
-      LEFT JOIN users u ON p.created_by = u.id
-      WHERE p.id = ?
-    `, [id]);
+    const { puzzleId } = req.body;
 
+    const puzzle = await dbGet(`SELECT p.id, p.revision, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [puzzleId]);
     if (!puzzle) {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
+    if (puzzle.status !== 'published') {
+      return res.status(403).json({ error: 'This puzzle is not published' });
+    }
+    // Today's daily puzzle is open to everyone, locked or not
+    if ((await getDailyPuzzleId(utcDate())) !== puzzle.id && !(await isPuzzleUnlocked(puzzle.id, req.user.id))) {
+      return res.status(403).json({ error: 'Solve the previous level in this collection first' });
+    }
 
-    res.json({ puzzle });
+    const now = new Date();
+    const openAttempts = await dbAll(
+      'SELECT id, started_at FROM play_attempts WHERE user_id = ? AND puzzle_id = ? AND result IS NULL',
+      [req.user.id, puzzle.id]
+    );
+    for (const attempt of openAttempts) {
+      await closeAttempt(attempt, 'abandoned', now);
+    }
+
+    const startedAt = attemptTimestamp(now);
+    const result = await dbRun(
+      'INSERT INTO play_attempts (puzzle_id, user_id, puzzle_revision, started_at) VALUES (?, ?, ?, ?)',
+      [puzzle.id, req.user.id, puzzle.revision, startedAt]
+    );
+
+    res.status(201).json({
+      attempt: { id: result.id, puzzle_id: puzzle.id, started_at: startedAt, result: null }
+    });
   } catch (error) {
-    console.error('Error fetching puzzle:', error);
+    console.error('Error opening attempt:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create new puzzle (admin only)
-app.post('/api/puzzles', authenticateToken, async (req, res) => {
+// Close an attempt without solving it (body: result, abandoned or reset)
+app.post('/api/attempts/:id/close', authenticateToken, async (req, res) => {
   try {
-    const { name, layout } = req.body;
-
-    if (!name || !layout) {
-      return res.status(400).json({ error: 'Name and layout are required' });
+    const { result } = req.body;
+    if (result === 'solved') {
+      return res.status(400).json({ error: 'Attempts are closed as solved by saving their score' });
     }
-
-    // Validate JSON layout
-    try {
-      JSON.parse(layout);
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid JSON format in layout' });
+    if (!ATTEMPT_CLOSE_RESULTS.includes(result)) {
+      return res.status(400).json({ error: `Invalid result, expected one of: ${ATTEMPT_CLOSE_RESULTS.join(', ')}` });
     }
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const attempt = await dbGet('SELECT * FROM play_attempts WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
     }
 
-    // Create puzzle
-    const result = await dbRun(
-      'INSERT INTO puzzles (name, layout, created_by) VALUES (?, ?, ?)',
-      [name, layout, req.user.userId]
-    );
+    const now = new Date();
+    if (attempt.result !== null || !(await closeAttempt(attempt, result, now))) {
+      return res.status(409).json({ error: 'This attempt is already closed' });
+    }
 
-    res.status(201).json({
-      message: 'Puzzle created successfully',
-      puzzle: {
-        id: result.id,
-        name,
-        layout,
-        created_by: req.user.userId
+    res.json({
+      attempt: {
+        id: attempt.id,
+        puzzle_id: attempt.puzzle_id,
+        started_at: attempt.started_at,
+        ended_at: attemptTimestamp(now),
+        result,
+        elapsed_ms: attemptElapsedMs(attempt, now)
       }
     });
   } catch (error) {
-    console.error('Error creating puzzle:', error);
+    console.error('Error closing attempt:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete puzzle (admin only)
-app.delete('/api/puzzles/:id', authenticateToken, async (req, res) => {
+// Attempt statistics per puzzle (admin only): how often an attempt ends
+// solved, abandoned or reset, and the average time of solving attempts.
+// ?puzzleId= limits it to one puzzle.
+app.get('/api/attempts/stats', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-
     // Check if user is admin
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Admin access required' });
     }
 
-    // Check if puzzle exists
-    const puzzle = await dbGet('SELECT id FROM puzzles WHERE id = ?', [id]);
-    if (!puzzle) {
-      return res.status(404).json({ error: 'Puzzle not found' });
+    const staleBefore = attemptTimestamp(new Date(Date.now() - ATTEMPT_STALE_HOURS * 60 * 60 * 1000));
+    const params = [staleBefore, staleBefore];
+    let puzzleFilter = '';
+    if (req.query.puzzleId !== undefined) {
+      puzzleFilter = 'WHERE a.puzzle_id = ?';
+      params.push(req.query.puzzleId);
     }
 
-    // Delete puzzle
-    await dbRun('DELETE FROM puzzles WHERE id = ?', [id]);
+    const rows = await dbAll(`
+      SELECT a.puzzle_id, p.name as puzzle_name,
+        COUNT(*) as attempts,
+        COUNT(DISTINCT a.user_id) as players,
+        SUM(a.result = 'solved') as solved,
+        SUM(a.result = 'abandoned' OR (a.result IS NULL AND a.started_at < ?)) as abandoned,
+        SUM(a.result = 'reset') as resets,
+        SUM(a.result IS NULL AND a.started_at >= ?) as open,
+        ROUND(AVG(CASE WHEN a.result = 'solved' THEN a.elapsed_ms END)) as average_solve_ms
+      FROM play_attempts a
+      JOIN puzzles p ON p.id = a.puzzle_id
+      ${puzzleFilter}
+      GROUP BY a.puzzle_id
+      ORDER BY attempts DESC, a.puzzle_id ASC
+    `, params);
 
-    res.json({ message: 'Puzzle deleted successfully' });
+    res.json({
+      stale_after_hours: ATTEMPT_STALE_HOURS,
+      puzzles: rows.map(row => Object.assign(row, {
+        completion_rate: percent(row.solved, row.attempts),
+        abandonment_rate: percent(row.abandoned, row.attempts),
+        reset_rate: percent(row.resets, row.attempts)
+      }))
+    });
   } catch (error) {
-    console.error('Error deleting puzzle:', error);
+    console.error('Error fetching attempt statistics:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Score routes
+
+// How far the last move time may be from the server's measured time. The
+// client starts its clock when the attempt opens and saves as soon as the
+// level is solved, so only network delay separates the two.
+const MOVE_TIMES_SLACK_MS = 3000;
+
+// Checks the move times sent with a score: whole milliseconds since the level
+// started, one per move, never going back and ending when the server says the
+// run ended. Returns an error message or null.
+const moveTimesError = (moveTimes, moves, elapsedMs) => {
+  if (!Array.isArray(moveTimes) || moveTimes.length !== moves) {
+    return 'moveTimes must have one entry per move';
+  }
+  for (let i = 0; i < moveTimes.length; i++) {
+    if (!Number.isInteger(moveTimes[i]) || moveTimes[i] < (i > 0 ? moveTimes[i - 1] : 0)) {
+      return 'moveTimes must be increasing whole milliseconds';
+    }
+  }
+  const last = moveTimes.length > 0 ? moveTimes[moveTimes.length - 1] : 0;
+  if (Math.abs(last - elapsedMs) > MOVE_TIMES_SLACK_MS) {
+    return `moveTimes must end within ${MOVE_TIMES_SLACK_MS / 1000} seconds of the time taken`;
+  }
+  return null;
+};
+
 app.post('/api/scores', authenticateToken, async (req, res) => {
   try {
-    const { puzzleId, timeTaken } = req.body;
+    const { puzzleId, attemptId, solution, moveTimes, hintsUsed } = req.body;
+
+    if (!puzzleId || !attemptId) {
+      return res.status(400).json({ error: 'Valid puzzle ID and attempt ID are required' });
+    }
 
-    if (!puzzleId || !timeTaken || timeTaken < 0) {
-      return res.status(400).json({ error: 'Valid puzzle ID and time taken are required' });
+    if (typeof solution !== 'string' || solution.length === 0) {
+      return res.status(400).json({ error: 'Move sequence (LURD) is required' });
     }
 
     // Check if puzzle exists
-    const puzzle = await dbGet('SELECT id FROM puzzles WHERE id = ?', [puzzleId]);
+    const puzzle = await dbGet(`SELECT p.id, p.name, p.layout, p.revision, p.leaderboard_revision, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [puzzleId]);
     if (!puzzle) {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
+    if (puzzle.status !== 'published') {
+      return res.status(403).json({ error: 'This puzzle is not published' });
+    }
+
+    // Today's daily puzzle is open to everyone, locked or not, and its
+    // scores also count towards the daily leaderboard
+    const today = utcDate();
+    const isDaily = (await getDailyPuzzleId(today)) === puzzle.id;
+
+    if (!isDaily && !(await isPuzzleUnlocked(puzzle.id, req.user.id))) {
+      return res.status(403).json({ error: 'Solve the previous level in this collection first' });
+    }
+
+    // Replay the submitted moves against the stored layout
+    const level = parsePuzzleLevel(puzzle);
+    if (!level) {
+      return res.status(500).json({ error: 'Stored puzzle layout is invalid' });
+    }
+
+    const replay = SokobanRules.replay(level, solution);
+    if (!replay.valid) {
+      return res.status(400).json({ error: replay.error });
+    }
+    if (!SokobanRules.isSolved(replay.state)) {
+      return res.status(400).json({ error: 'Move sequence does not solve the puzzle' });
+    }
+
+    const moves = replay.state.history.length;
+    const pushes = SokobanRules.countPushes(replay.state.history);
+
+    // The run is timed from the start of its attempt, which must still be open
+    const attempt = await dbGet(
+      'SELECT id, started_at FROM play_attempts WHERE id = ? AND user_id = ? AND puzzle_id = ? AND result IS NULL',
+      [attemptId, req.user.id, puzzle.id]
+    );
+    if (!attempt) {
+      return res.status(409).json({ error: 'No open attempt on this puzzle matches this score' });
+    }
+    const now = new Date();
+    const elapsedMs = attemptElapsedMs(attempt, now);
+    const timeTaken = Math.floor(elapsedMs / 1000);
+
+    const moveTimesProblem = moveTimesError(moveTimes, moves, elapsedMs);
+    if (moveTimesProblem) {
+      return res.status(400).json({ error: moveTimesProblem });
+    }
 
-    // Save score
+    // Hints given during this attempt. The client's own count is kept if it
+    // is higher.
+    const hintRow = await dbGet('SELECT COUNT(*) as count FROM hint_requests WHERE attempt_id = ?', [attempt.id]);
+    const hints = Math.max(hintRow.count, parseInt(hintsUsed, 10) || 0);
+
+    // Save score, closing its attempt first so it can't be used twice
+    if (!(await closeAttempt(attempt, 'solved', now))) {
+      return res.status(409).json({ error: 'No open attempt on this puzzle matches this score' });
+    }
     const result = await dbRun(
-      'INSERT INTO scores (user_id, puzzle_id, time_taken) VALUES (?, ?, ?)',
-      [req.user.id, puzzleId, timeTaken]
+      'INSERT INTO scores (user_id, puzzle_id, puzzle_revision, time_taken, moves, pushes, solution, move_times, hints_used, daily_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, puzzleId, puzzle.revision, timeTaken, moves, pushes, solution, JSON.stringify(moveTimes), hints, isDaily ? today : null]
     );
 
+    await dbRun('UPDATE play_attempts SET score_id = ? WHERE id = ?', [result.id, attempt.id]);
+
+    // Player results feed into the puzzle's difficulty rating
+    refreshPuzzleDifficulty(puzzle.id).catch(error => console.error('Error refreshing puzzle difficulty:', error));
+    // Open leaderboards update live
+    pushLeaderboardUpdates(puzzle, result.id, req.user.id).catch(error => console.error('Error pushing leaderboard updates:', error));
+
     res.status(201).json({
       message: 'Score saved successfully',
       score: {
         id: result.id,
         user_id: req.user.id,
         puzzle_id: puzzleId,
-        time_taken: timeTaken
+        puzzle_revision: puzzle.revision,
+        time_taken: timeTaken,
+        attempt_id: attempt.id,
+        moves,
+        pushes,
+        hints_used: hints,
+        daily_date: isDaily ? today : null
       }
     });
   } catch (error) {
@@ -479,58 +2901,280 @@ app.post('/api/scores', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/scores/leaderboard', async (req, res) => {
+// Replay of a score: its moves with the time each was made, and the layout of
+// the puzzle revision the score was set on
+app.get('/api/scores/:id/replay', optionalAuth, async (req, res) => {
   try {
-    const leaderboard = await dbAll(`
-      SELECT 
-        u.username,
-        u.role,
-        COUNT(s.id) as puzzles_completed,
-        SUM(s.time_taken) as total_time,
-        AVG(s.time_taken) as average_time
-      FROM users u
-      LEFT JOIN scores s ON u.id = s.user_id
-      WHERE u.role IN ('player', 'admin')
-      GROUP BY u.id, u.username, u.role
-      HAVING puzzles_completed > 0
-      ORDER BY total_time ASC
-      LIMIT 20
-    `);
+    const score = await dbGet(`
+      SELECT s.id, s.puzzle_id, s.puzzle_revision, s.time_taken, s.moves, s.pushes, s.solution, s.move_times,
+        COALESCE(s.hints_used, 0) > 0 as hinted, s.completed_at, u.username,
+        p.name as puzzle_name, ${puzzleStatusSql()} as status, COALESCE(r.layout, p.layout) as layout
+      FROM scores s
+      JOIN users u ON s.user_id = u.id
+      JOIN puzzles p ON s.puzzle_id = p.id
+      LEFT JOIN puzzle_revisions r ON r.puzzle_id = s.puzzle_id AND r.revision = s.puzzle_revision
+      WHERE s.id = ?
+    `, [req.params.id]);
+
+    // Scores on unpublished puzzles are only visible to admins
+    if (!score || (score.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
+      return res.status(404).json({ error: 'Score not found' });
+    }
+    // Scores saved before moves were recorded have nothing to replay
+    if (!score.solution) {
+      return res.status(404).json({ error: 'No replay was recorded for this score' });
+    }
+
+    res.json({
+      replay: {
+        score_id: score.id,
+        puzzle_id: score.puzzle_id,
+        puzzle_name: score.puzzle_name,
+        puzzle_revision: score.puzzle_revision,
+        username: score.username,
+        time_taken: score.time_taken,
+        moves: score.moves,
+        pushes: score.pushes,
+        hinted: score.hinted === 1,
+        completed_at: score.completed_at,
+        layout: score.layout,
+        solution: score.solution,
+        move_times: score.move_times ? JSON.parse(score.move_times) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching replay:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Leaderboard time windows, keyed by ?window=. Weeks start on Monday and
+// months on the 1st, both at midnight UTC like the daily challenge.
+const LEADERBOARD_WINDOWS = {
+  all: () => null,
+  week: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (now.getUTCDay() + 6) % 7)),
+  month: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+};
+const LEADERBOARD_PAGE_DEFAULT = 10;
+const LEADERBOARD_PAGE_MAX = 100;
+// Entries returned either side of the requesting player's own rank
+const LEADERBOARD_NEIGHBOURS = 2;
+
+// Reads ?window=, ?limit= and ?offset=. Returns { window, windowStart, limit,
+// offset } with windowStart as an SQLite timestamp (null for all time), or { error }.
+const parseLeaderboardQuery = (query) => {
+  const { window: timeWindow = 'all', limit = LEADERBOARD_PAGE_DEFAULT, offset = 0 } = query;
+  if (!Object.keys(LEADERBOARD_WINDOWS).includes(timeWindow)) {
+    return { error: `Invalid window, expected one of: ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` };
+  }
+  const pageLimit = Number(limit);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > LEADERBOARD_PAGE_MAX) {
+    return { error: `limit must be between 1 and ${LEADERBOARD_PAGE_MAX}` };
+  }
+  const pageOffset = Number(offset);
+  if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+    return { error: 'offset must be a whole number of 0 or more' };
+  }
+
+  const start = LEADERBOARD_WINDOWS[timeWindow](new Date());
+  return { window: timeWindow, windowStart: start ? sqlTimestamp(start) : null, limit: pageLimit, offset: pageOffset };
+};
+
+// One page of a leaderboard plus the requesting player's own entry and its
+// neighbours, however far down they are. rankedSql is a WITH clause that
+// defines "ranked" with one row per player (user_id and rank), selectSql the
+// columns to return from it (as r) and users (as u).
+// Returns { total, entries, me: { rank, neighbours } or null }.
+const getLeaderboardPage = async (rankedSql, selectSql, params, page, userId) => {
+  const summary = await dbGet(`
+    ${rankedSql}
+    SELECT COUNT(*) as total, MAX(CASE WHEN user_id = ? THEN rank END) as my_rank FROM ranked
+  `, [...params, userId]);
+  const myRank = summary.my_rank;
+
+  const rows = await dbAll(`
+    ${rankedSql}
+    SELECT ${selectSql}
+    FROM ranked r
+    JOIN users u ON r.user_id = u.id
+    WHERE (r.rank > ? AND r.rank <= ?) OR r.rank BETWEEN ? AND ?
+    ORDER BY r.rank ASC
+  `, [
+    ...params,
+    page.offset,
+    page.offset + page.limit,
+    myRank ? myRank - LEADERBOARD_NEIGHBOURS : 0,
+    myRank ? myRank + LEADERBOARD_NEIGHBOURS : -1
+  ]);
+
+  return {
+    total: summary.total,
+    entries: rows.filter(row => row.rank > page.offset && row.rank <= page.offset + page.limit),
+    me: myRank ? { rank: myRank, neighbours: rows.filter(row => Math.abs(row.rank - myRank) <= LEADERBOARD_NEIGHBOURS) } : null
+  };
+};
+
+// WITH clause defining "ranked" for the overall leaderboard, one row per
+// player. filter holds extra conditions on the scores (s) that count.
+const overallRankedSql = (filter) => `
+  WITH best AS (
+    SELECT s.user_id, s.puzzle_id, MIN(s.time_taken) as best_time
+    FROM scores s
+    JOIN puzzles p ON p.id = s.puzzle_id
+    JOIN users u ON u.id = s.user_id
+    WHERE u.role IN ('player', 'admin') AND ${puzzleVisibleSql()} AND s.puzzle_revision >= p.leaderboard_revision${filter}
+    GROUP BY s.user_id, s.puzzle_id
+  ),
+  totals AS (
+    SELECT user_id, COUNT(*) as puzzles_completed, SUM(best_time) as total_time, AVG(best_time) as average_time
+    FROM best
+    GROUP BY user_id
+  ),
+  ranked AS (
+    SELECT t.*, ROW_NUMBER() OVER (ORDER BY t.puzzles_completed DESC, t.total_time ASC, t.user_id ASC) as rank
+    FROM totals t
+  )
+`;
+const OVERALL_LEADERBOARD_COLUMNS = 'r.rank, u.username, u.role, r.puzzles_completed, r.total_time, ROUND(r.average_time, 1) as average_time';
+
+// Overall leaderboard. Each player's best time on each published puzzle
+// counts once (since its leaderboard was last reset and within the window);
+// players who solved more puzzles rank first, then the lowest total time.
+app.get('/api/scores/leaderboard', optionalAuth, async (req, res) => {
+  try {
+    const page = parseLeaderboardQuery(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const params = [];
+    let windowFilter = '';
+    if (page.windowStart) {
+      windowFilter = ' AND s.completed_at >= ?';
+      params.push(page.windowStart);
+    }
 
-    res.json({ leaderboard });
+    const { total, entries, me } = await getLeaderboardPage(overallRankedSql(windowFilter),
+      OVERALL_LEADERBOARD_COLUMNS, params, page, req.user ? req.user.id : null);
+
+    res.json({
+      window: page.window,
+      window_start: page.windowStart,
+      total,
+      limit: page.limit,
+      offset: page.offset,
+      leaderboard: entries,
+      me
+    });
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/scores/leaderboard/:puzzleId', async (req, res) => {
+// ORDER BY clauses for the per-puzzle leaderboard, keyed by ?sort=
+const LEADERBOARD_SORTS = {
+  time: 's.time_taken ASC, s.moves ASC',
+  moves: 's.moves ASC, s.pushes ASC, s.time_taken ASC',
+  pushes: 's.pushes ASC, s.moves ASC, s.time_taken ASC'
+};
+
+// Extra WHERE conditions for ?runs= (runs that used hints are kept apart)
+const LEADERBOARD_RUNS = {
+  all: '',
+  clean: ' AND COALESCE(s.hints_used, 0) = 0',
+  hinted: ' AND s.hints_used > 0'
+};
+
+// WITH clause defining "ranked" for one puzzle's leaderboard: each player's
+// best run by orderBy (from LEADERBOARD_SORTS). Its params are the puzzle id,
+// then those of filter (extra conditions on the scores, s).
+const puzzleRankedSql = (orderBy, filter) => `
+  WITH best AS (
+    SELECT s.*, ROW_NUMBER() OVER (PARTITION BY s.user_id ORDER BY ${orderBy}, s.completed_at ASC, s.id ASC) as user_position
+    FROM scores s
+    WHERE s.puzzle_id = ?${filter}
+  ),
+  ranked AS (
+    SELECT s.*, ROW_NUMBER() OVER (ORDER BY ${orderBy}, s.completed_at ASC, s.id ASC) as rank
+    FROM best s
+    WHERE s.user_position = 1
+  )
+`;
+const PUZZLE_LEADERBOARD_COLUMNS = `r.id, r.rank, r.time_taken, r.moves, r.pushes, COALESCE(r.hints_used, 0) > 0 as hinted,
+  r.puzzle_revision, r.completed_at, u.username, u.role`;
+
+// Leaderboard of one puzzle with each player's best run by the chosen sort.
+// Ties go to whoever set the run first.
+app.get('/api/scores/leaderboard/:puzzleId', optionalAuth, async (req, res) => {
   try {
     const { puzzleId } = req.params;
+    const { sort = 'time', runs = 'all', revision = 'current' } = req.query;
 
-    // Check if puzzle exists
-    const puzzle = await dbGet('SELECT id, name FROM puzzles WHERE id = ?', [puzzleId]);
-    if (!puzzle) {
+    const orderBy = LEADERBOARD_SORTS[sort];
+    if (!orderBy) {
+      return res.status(400).json({ error: `Invalid sort, expected one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')}` });
+    }
+
+    const runFilter = LEADERBOARD_RUNS[runs];
+    if (runFilter === undefined) {
+      return res.status(400).json({ error: `Invalid runs filter, expected one of: ${Object.keys(LEADERBOARD_RUNS).join(', ')}` });
+    }
+
+    if (revision !== 'current' && revision !== 'all' && !(parseInt(revision, 10) > 0)) {
+      return res.status(400).json({ error: 'Invalid revision, expected current, all or a revision number' });
+    }
+
+    const page = parseLeaderboardQuery(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    // Unpublished puzzles (and their scores) are only visible to admins
+    const puzzle = await dbGet(`SELECT p.id, p.name, p.revision, p.leaderboard_revision, ${puzzleStatusSql()} as status FROM puzzles p WHERE p.id = ?`, [puzzleId]);
+    if (!puzzle || (puzzle.status !== 'published' && (!req.user || req.user.role !== 'admin'))) {
       return res.status(404).json({ error: 'Puzzle not found' });
     }
 
-    // Get leaderboard for this puzzle
-    const leaderboard = await dbAll(`
-      SELECT 
-        s.time_taken,
-        s.completed_at,
-        u.username,
-        u.role
-      FROM scores s
-      JOIN users u ON s.user_id = u.id
-      WHERE s.puzzle_id = ?
-      ORDER BY s.time_taken ASC
-      LIMIT 10
-    `, [puzzleId]);
+    // By default only scores since the leaderboard was last reset count;
+    // ?revision=<n> ranks the scores set on one revision
+    const params = [puzzleId];
+    let revisionFilter = '';
+    if (revision === 'current') {
+      revisionFilter = ' AND s.puzzle_revision >= ?';
+      params.push(puzzle.leaderboard_revision);
+    } else if (revision !== 'all') {
+      revisionFilter = ' AND s.puzzle_revision = ?';
+      params.push(parseInt(revision, 10));
+    }
+
+    let windowFilter = '';
+    if (page.windowStart) {
+      windowFilter = ' AND s.completed_at >= ?';
+      params.push(page.windowStart);
+    }
+
+    // Scores saved before moves were recorded can only be ranked by time
+    const movesFilter = sort === 'time' ? '' : ' AND s.moves IS NOT NULL';
+
+    const { total, entries, me } = await getLeaderboardPage(
+      puzzleRankedSql(orderBy, `${revisionFilter}${windowFilter}${movesFilter}${runFilter}`),
+      PUZZLE_LEADERBOARD_COLUMNS, params, page, req.user ? req.user.id : null);
 
+    // Copies: the player's own row can be in both the page and its neighbours
+    const withHinted = (entry) => ({ ...entry, hinted: entry.hinted === 1 });
     res.json({
       puzzle,
-      leaderboard
+      sort,
+      runs,
+      revision,
+      window: page.window,
+      window_start: page.windowStart,
+      total,
+      limit: page.limit,
+      offset: page.offset,
+      leaderboard: entries.map(withHinted),
+      me: me && { rank: me.rank, neighbours: me.neighbours.map(withHinted) }
     });
   } catch (error) {
     console.error('Error fetching puzzle leaderboard:', error);
@@ -538,6 +3182,89 @@ app.get('/api/scores/leaderboard/:puzzleId', async (req, res) => {
   }
 });
 
+// Live leaderboard updates over Socket.IO. Clients join a room per puzzle
+// (leaderboard:<id>) and/or the overall room (leaderboard:global); when a
+// saved run becomes its player's best on the default board (fastest time, all
+// runs, since the last reset, all time) both rooms get a 'leaderboard-update'.
+
+// Room for a subscribe-leaderboard message ({ puzzleId } or { global: true })
+const leaderboardRoom = (data) => {
+  if (!data) return null;
+  if (data.global) return 'leaderboard:global';
+  const puzzleId = parseInt(data.puzzleId, 10);
+  return puzzleId > 0 ? `leaderboard:${puzzleId}` : null;
+};
+
+// What a player's new best did on a leaderboard, from their rank before
+// (null if they weren't on it) and after
+const leaderboardChange = (previousRank, rank) => {
+  if (rank === 1) return 'new-record';
+  if (rank !== previousRank) return 'rank-changed';
+  return 'personal-best';
+};
+
+// Sends the updates for a newly saved score. Nothing is sent when the run
+// isn't the player's best, as no leaderboard changed.
+const pushLeaderboardUpdates = async (puzzle, scoreId, userId) => {
+  const revisionFilter = ' AND s.puzzle_revision >= ?';
+  const params = [puzzle.id, puzzle.leaderboard_revision];
+
+  const entry = await dbGet(`
+    ${puzzleRankedSql(LEADERBOARD_SORTS.time, revisionFilter)}
+    SELECT ${PUZZLE_LEADERBOARD_COLUMNS}, (SELECT COUNT(*) FROM ranked) as total
+    FROM ranked r
+    JOIN users u ON r.user_id = u.id
+    WHERE r.user_id = ?
+  `, [...params, userId]);
+  if (!entry || entry.id !== scoreId) return;
+
+  const previous = await dbGet(`
+    ${puzzleRankedSql(LEADERBOARD_SORTS.time, `${revisionFilter} AND s.id != ?`)}
+    SELECT rank FROM ranked WHERE user_id = ?
+  `, [...params, scoreId, userId]);
+  const { total, ...puzzleEntry } = entry;
+  const previousRank = previous ? previous.rank : null;
+  const puzzleUpdate = {
+    scope: 'puzzle',
+    puzzleId: puzzle.id,
+    puzzleName: puzzle.name,
+    type: leaderboardChange(previousRank, entry.rank),
+    rank: entry.rank,
+    previousRank,
+    total,
+    entry: Object.assign(puzzleEntry, { hinted: puzzleEntry.hinted === 1 })
+  };
+  io.to(`leaderboard:${puzzle.id}`).emit('leaderboard-update', puzzleUpdate);
+
+  // A new best on a puzzle always changes the player's overall total
+  const overall = await dbGet(`
+    ${overallRankedSql('')}
+    SELECT ${OVERALL_LEADERBOARD_COLUMNS}, (SELECT COUNT(*) FROM ranked) as total
+    FROM ranked r
+    JOIN users u ON r.user_id = u.id
+    WHERE r.user_id = ?
+  `, [userId]);
+  if (!overall) return; // only players and admins are ranked overall
+
+  const overallPrevious = await dbGet(`
+    ${overallRankedSql(' AND s.id != ?')}
+    SELECT rank FROM ranked WHERE user_id = ?
+  `, [scoreId, userId]);
+  const { total: overallTotal, ...overallEntry } = overall;
+  const overallPreviousRank = overallPrevious ? overallPrevious.rank : null;
+  io.to('leaderboard:global').emit('leaderboard-update', {
+    scope: 'global',
+    puzzleId: puzzle.id,
+    puzzleName: puzzle.name,
+    type: leaderboardChange(overallPreviousRank, overall.rank),
+    rank: overall.rank,
+    previousRank: overallPreviousRank,
+    total: overallTotal,
+    entry: overallEntry,
+    puzzle: { type: puzzleUpdate.type, rank: puzzleUpdate.rank, previousRank, entry: puzzleUpdate.entry }
+  });
+};
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -657,15 +3384,12 @@ function endSprintGame(gameId) {
   // Save results to database
   const players = Array.from(game.players.values());
   players.forEach(player => {
-    db.run(
+    dbRun(
       'INSERT INTO sprint_results (game_id, user_id, taps) VALUES (?, ?, ?)',
-      [gameId, null, player.taps], // user_id is null for anonymous players
-      (err) => {
-        if (err) {
-          console.error('Error saving sprint result:', err);
-        }
-      }
-    );
+      [gameId, player.userId, player.taps] // user_id is null for anonymous players
+    ).catch((err) => {
+      console.error('Error saving sprint result:', err);
+    });
   });
   
   // Sort players by taps (descending)
@@ -703,10 +3427,21 @@ io.on('connection', (socket) => {
         return;
       }
       
+      // Logged-in players send their token so the result shows on their profile
+      let userId = null;
+      if (data.token) {
+        try {
+          userId = jwt.verify(data.token, process.env.JWT_SECRET).userId;
+        } catch (error) {
+          console.log('Sprint join - Ignoring invalid token:', error.message);
+        }
+      }
+
       // Add player to game
       game.players.set(socket.id, {
         id: socket.id,
         username: username || `Player_${socket.id.substr(0, 6)}`,
+        userId,
         taps: 0,
         connected: true
       });
@@ -758,6 +3493,20 @@ io.on('connection', (socket) => {
     }
   });
   
+  socket.on('subscribe-leaderboard', (data) => {
+    const room = leaderboardRoom(data);
+    if (room) {
+      socket.join(room);
+    }
+  });
+
+  socket.on('unsubscribe-leaderboard', (data) => {
+    const room = leaderboardRoom(data);
+    if (room) {
+      socket.leave(room);
+    }
+  });
+
   socket.on('disconnect', () => {
     try {
       const playerInfo = activePlayers.get(socket.id);
@@ -789,17 +3538,21 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🗄️  Database: SQLite (sokoban.db)`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🔌 WebSocket server ready for sprint games`);
-  console.log(`\n📋 Default credentials:`);
-  console.log(`   Admin: username=admin, password=admin123`);
-  console.log(`\n🌐 Frontend: http://localhost:3000`);
-});
+// Start server once the database schema is ready
+function startServer() {
+  server.listen(PORT, () => {
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🗄️  Database: SQLite (sokoban.db)`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`🔌 WebSocket server ready for sprint games`);
+    console.log(`\n📋 Default credentials:`);
+    console.log(`   Admin: username=admin, password=admin123`);
+    console.log(`\n🌐 Frontend: http://localhost:3000`);
+
+    queueStaleDifficultyRatings().catch(error => console.error('Error queueing difficulty ratings:', error));
+  });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -0,0 +1,76 @@
+// Difficulty rating for puzzles on a 0-100 scale. The structural part comes
+// from the solver (solution length, pushes, boxes and how many states the
+// search needed). Once players have solved a puzzle, their median time and
+// how many of them needed hints are blended in, with more weight the more
+// players there are.
+const TIERS = [
+  { tier: 'easy', below: 30 },
+  { tier: 'medium', below: 50 },
+  { tier: 'hard', below: 70 },
+  { tier: 'expert', below: Infinity }
+];
+
+// Players needed before their data counts for half of the rating
+const FULL_PLAYER_WEIGHT_AT = 20;
+const MAX_PLAYER_WEIGHT = 0.5;
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+
+function tierFor(score) {
+  return TIERS.find(({ below }) => score < below).tier;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Score from a solver result ({ status, moves, pushes, statesExplored }) and
+// the box count. A search that ran out of budget is rated as at least hard.
+function structuralScore(solver, boxes) {
+  if (solver.status === 'timed_out') {
+    return 85;
+  }
+  return clamp(
+    8 * Math.log(1 + solver.pushes) +
+    3 * Math.log(1 + solver.moves) +
+    2 * boxes +
+    4 * Math.log10(1 + (solver.statesExplored || 0))
+  );
+}
+
+// Score from player results: each solver's best time in seconds, and whether
+// they solved it without hints
+function playerScore(results) {
+  const medianTime = median(results.map(result => result.time));
+  const unassistedRate = results.filter(result => result.unassisted).length / results.length;
+  return clamp(20 * Math.log10(1 + medianTime) + 40 * (1 - unassistedRate));
+}
+
+// Combine both parts. Returns { score, tier, playerWeight, medianTime, unassistedRate }.
+function rate(structural, results = []) {
+  if (results.length === 0) {
+    return { score: structural, tier: tierFor(structural), playerWeight: 0, medianTime: null, unassistedRate: null };
+  }
+
+  const playerWeight = Math.min(results.length / FULL_PLAYER_WEIGHT_AT, 1) * MAX_PLAYER_WEIGHT;
+  const score = (1 - playerWeight) * structural + playerWeight * playerScore(results);
+  return {
+    score,
+    tier: tierFor(score),
+    playerWeight,
+    medianTime: median(results.map(result => result.time)),
+    unassistedRate: results.filter(result => result.unassisted).length / results.length
+  };
+}
+
+module.exports = {
+  TIERS: TIERS.map(({ tier }) => tier),
+  tierFor,
+  median,
+  structuralScore,
+  playerScore,
+  rate
+};
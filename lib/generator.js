@@ -0,0 +1,331 @@
+// Procedural level generator. A random room is carved out, boxes are put on
+// goals (the solved state) and then pulled away from them with random reverse
+// moves. Every pull undoes a legal push, so the resulting level is always
+// solvable. Candidates are solved again with the solver for a short solution
+// and an exact push count, and the one closest to the requested difficulty is
+// kept. generateAsync runs in a worker thread like the solver.
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const SokobanRules = require('../shared/sokoban-rules');
+const Solver = require('./solver');
+
+const DEFAULT_OPTIONS = {
+  width: 8,
+  height: 8,
+  boxes: 3,
+  difficulty: 'medium',
+  seed: null,
+  timeLimitMs: 5000,
+  memoryLimitMb: 256
+};
+
+// Pushes per box the solution should need for each difficulty
+const DIFFICULTIES = {
+  easy: { minPushes: 1, maxPushes: 4, pulls: 8 },
+  medium: { minPushes: 4, maxPushes: 8, pulls: 20 },
+  hard: { minPushes: 8, maxPushes: Infinity, pulls: 45 }
+};
+
+const STEPS = [
+  { key: 'u', dRow: -1, dCol: 0 },
+  { key: 'd', dRow: 1, dCol: 0 },
+  { key: 'l', dRow: 0, dCol: -1 },
+  { key: 'r', dRow: 0, dCol: 1 }
+];
+const OPPOSITE = { u: 'd', d: 'u', l: 'r', r: 'l' };
+
+// Small seeded PRNG (mulberry32) so a seed always produces the same level
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const key = (row, col) => `${row},${col}`;
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+// Floor cells reachable from start without crossing walls or blocked cells
+function reachable(walls, start, blocked = new Set()) {
+  const seen = new Map([[key(start.row, start.col), null]]);
+  const queue = [start];
+  for (let head = 0; head < queue.length; head++) {
+    const { row, col } = queue[head];
+    STEPS.forEach(step => {
+      const next = { row: row + step.dRow, col: col + step.dCol };
+      const nextKey = key(next.row, next.col);
+      if (walls[next.row][next.col] || blocked.has(nextKey) || seen.has(nextKey)) return;
+      seen.set(nextKey, { from: { row, col }, step: step.key });
+      queue.push(next);
+    });
+  }
+  return seen;
+}
+
+// Moves that walk from start to target, using the map returned by reachable()
+function pathTo(seen, start, target) {
+  let path = '';
+  let cell = target;
+  while (cell.row !== start.row || cell.col !== start.col) {
+    const { from, step } = seen.get(key(cell.row, cell.col));
+    path = step + path;
+    cell = from;
+  }
+  return path;
+}
+
+// A walled room with random inner walls. Only the largest connected area of
+// floor is kept. Returns walls[row][col] (true for wall) and the floor cells.
+function carveRoom(width, height, random) {
+  const walls = Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) =>
+      row === 0 || col === 0 || row === height - 1 || col === width - 1 || random() < 0.2
+    )
+  );
+
+  let largest = new Map();
+  const visited = new Set();
+  for (let row = 1; row < height - 1; row++) {
+    for (let col = 1; col < width - 1; col++) {
+      if (walls[row][col] || visited.has(key(row, col))) continue;
+      const area = reachable(walls, { row, col });
+      area.forEach((_, cellKey) => visited.add(cellKey));
+      if (area.size > largest.size) {
+        largest = area;
+      }
+    }
+  }
+
+  const floor = [];
+  for (let row = 1; row < height - 1; row++) {
+    for (let col = 1; col < width - 1; col++) {
+      if (largest.has(key(row, col))) {
+        floor.push({ row, col });
+      } else {
+        walls[row][col] = true;
+      }
+    }
+  }
+  return { walls, floor };
+}
+
+// Pull boxes away from their goals. Returns the start position and the moves
+// made backwards, or null if the boxes could not be moved at all.
+function pullBoxes(walls, goals, player, pulls, random) {
+  const boxes = new Map(goals.map(goal => [key(goal.row, goal.col), { row: goal.row, col: goal.col }]));
+  const isFree = (row, col) => !walls[row][col] && !boxes.has(key(row, col));
+  const reverseMoves = [];
+  let current = player;
+  let pulled = 0;
+
+  for (let attempt = 0; attempt < pulls * 4 && pulled < pulls; attempt++) {
+    const seen = reachable(walls, current, new Set(boxes.keys()));
+
+    // A box can be pulled in direction d when the player can stand next to
+    // it on that side and step back one more cell
+    const options = [];
+    boxes.forEach(box => {
+      STEPS.forEach(step => {
+        const stand = { row: box.row + step.dRow, col: box.col + step.dCol };
+        const back = { row: stand.row + step.dRow, col: stand.col + step.dCol };
+        if (seen.has(key(stand.row, stand.col)) && isFree(back.row, back.col)) {
+          options.push({ box, step, stand, back });
+        }
+      });
+    });
+    if (options.length === 0) break;
+
+    const { box, step, stand, back } = pick(random, options);
+    reverseMoves.push(pathTo(seen, current, stand));
+    reverseMoves.push(step.key.toUpperCase());
+    boxes.delete(key(box.row, box.col));
+    boxes.set(key(stand.row, stand.col), stand);
+    current = back;
+    pulled++;
+
+    // Wander off now and then so the next pull starts somewhere else
+    if (random() < 0.3) {
+      const wander = reachable(walls, current, new Set(boxes.keys()));
+      const [row, col] = pick(random, Array.from(wander.keys())).split(',').map(Number);
+      reverseMoves.push(pathTo(wander, current, { row, col }));
+      current = { row, col };
+    }
+  }
+
+  if (pulled === 0) {
+    return null;
+  }
+  return { boxes: Array.from(boxes.values()), player: current, reverseMoves };
+}
+
+// Play the backward moves forwards: reverse their order and direction.
+// Pulls (uppercase) become pushes.
+function forwardSolution(reverseMoves) {
+  return reverseMoves.join('').split('').reverse().map(move => {
+    const forward = OPPOSITE[move.toLowerCase()];
+    return move === move.toUpperCase() ? forward.toUpperCase() : forward;
+  }).join('');
+}
+
+function toGrid(walls, goals, boxes, player) {
+  const goalKeys = new Set(goals.map(goal => key(goal.row, goal.col)));
+  const boxKeys = new Set(boxes.map(box => key(box.row, box.col)));
+  return walls.map((line, row) => line.map((wall, col) => {
+    if (wall) return '#';
+    const cellKey = key(row, col);
+    const goal = goalKeys.has(cellKey);
+    if (row === player.row && col === player.col) return goal ? '+' : 'P';
+    if (boxKeys.has(cellKey)) return goal ? '*' : 'B';
+    return goal ? '.' : ' ';
+  }));
+}
+
+// One candidate level, or null if this room didn't work out
+function generateCandidate(settings, random, solverBudgetMs) {
+  const { walls, floor } = carveRoom(settings.width, settings.height, random);
+  if (floor.length < settings.boxes * 3 + 2) {
+    return null;
+  }
+
+  const cells = floor.slice();
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  const goals = cells.slice(0, settings.boxes);
+  const player = cells[settings.boxes];
+
+  const { pulls } = DIFFICULTIES[settings.difficulty];
+  const pulled = pullBoxes(walls, goals, player, pulls * settings.boxes, random);
+  if (!pulled) {
+    return null;
+  }
+
+  const grid = toGrid(walls, goals, pulled.boxes, pulled.player);
+  const level = SokobanRules.parseLevel(grid);
+  if (SokobanRules.isSolved(level)) {
+    return null;
+  }
+
+  // The pulls give a solution already; the solver usually finds a shorter one
+  let solution = forwardSolution(pulled.reverseMoves);
+  let optimal = false;
+  const solver = Solver.solve(level, { timeLimitMs: solverBudgetMs, maxStates: 100000, fallbackWeight: 0 });
+  if (solver.status === 'solved') {
+    solution = solver.solution;
+    optimal = solver.optimal;
+  }
+
+  const replay = SokobanRules.replay(level, solution);
+  if (!replay.valid || !SokobanRules.isSolved(replay.state)) {
+    return null;
+  }
+
+  return {
+    grid,
+    solution,
+    moves: solution.length,
+    pushes: SokobanRules.countPushes(solution),
+    optimal
+  };
+}
+
+// How far a candidate is from the difficulty's push range (0 when inside it)
+function distanceFromTarget(candidate, settings) {
+  const { minPushes, maxPushes } = DIFFICULTIES[settings.difficulty];
+  const perBox = candidate.pushes / settings.boxes;
+  if (perBox < minPushes) return minPushes - perBox;
+  if (perBox > maxPushes) return perBox - maxPushes;
+  return 0;
+}
+
+// Generate a level. Keeps trying new rooms until one lands in the requested
+// difficulty or time runs out, then returns the closest:
+//   { layout: { width, height, grid }, solution, moves, pushes, optimal,
+//     difficulty, seed, attempts, elapsedMs }
+// or null if no candidate could be built (e.g. too many boxes for the size).
+function generate(options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  if (!DIFFICULTIES[settings.difficulty]) {
+    throw new Error(`Unknown difficulty '${settings.difficulty}'`);
+  }
+
+  const seed = Number.isInteger(settings.seed) ? settings.seed : Math.floor(Math.random() * 0x7fffffff);
+  const random = createRandom(seed);
+  const startedAt = Date.now();
+  const deadline = startedAt + settings.timeLimitMs;
+  let best = null;
+  let attempts = 0;
+
+  // Always make at least one attempt, then stop at the deadline or on a hit
+  while (attempts === 0 || Date.now() < deadline) {
+    attempts++;
+    const remaining = Math.max(deadline - Date.now(), 100);
+    const candidate = generateCandidate(settings, random, Math.min(remaining, 1000));
+    if (candidate) {
+      candidate.distance = distanceFromTarget(candidate, settings);
+      if (!best || candidate.distance < best.distance ||
+          (candidate.distance === best.distance && candidate.pushes > best.pushes)) {
+        best = candidate;
+      }
+      if (best.distance === 0 && settings.difficulty !== 'hard') break;
+    }
+    if (attempts >= 500) break;
+  }
+
+  if (!best) {
+    return null;
+  }
+  return {
+    layout: { width: settings.width, height: settings.height, grid: best.grid },
+    solution: best.solution,
+    moves: best.moves,
+    pushes: best.pushes,
+    optimal: best.optimal,
+    difficulty: settings.difficulty,
+    seed,
+    attempts,
+    elapsedMs: Date.now() - startedAt
+  };
+}
+
+// Run generate() in a worker thread with a heap limit
+function generateAsync(options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { generatorJob: true, options: settings },
+      resourceLimits: { maxOldGenerationSizeMb: settings.memoryLimitMb }
+    });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(watchdog);
+      worker.terminate();
+      callback(value);
+    };
+
+    // Each attempt checks the deadline, but one solver run can overshoot it
+    const watchdog = setTimeout(() => settle(resolve, null), settings.timeLimitMs + 5000);
+
+    worker.on('message', result => settle(resolve, result));
+    worker.on('error', error => settle(reject, error));
+    worker.on('exit', code => settle(reject, new Error(`Generator worker exited with code ${code}`)));
+  });
+}
+
+if (!isMainThread && workerData && workerData.generatorJob) {
+  parentPort.postMessage(generate(workerData.options));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  DIFFICULTIES,
+  generate,
+  generateAsync
+};
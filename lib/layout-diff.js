@@ -0,0 +1,34 @@
+// Cell-by-cell comparison of two layout grids, used to diff puzzle revisions.
+// Cells outside a grid count as empty floor.
+const gridSize = (grid) => ({
+  width: grid.reduce((max, row) => Math.max(max, row.length), 0),
+  height: grid.length
+});
+
+const cellAt = (grid, row, col) => {
+  const value = grid[row] !== undefined ? grid[row][col] : undefined;
+  return value === undefined ? ' ' : String(value);
+};
+
+// Returns { from: {width, height}, to: {width, height}, changes: [{ row, col, from, to }] }
+function diffGrids(fromGrid, toGrid) {
+  const from = gridSize(fromGrid);
+  const to = gridSize(toGrid);
+  const changes = [];
+
+  for (let row = 0; row < Math.max(from.height, to.height); row++) {
+    for (let col = 0; col < Math.max(from.width, to.width); col++) {
+      const before = cellAt(fromGrid, row, col);
+      const after = cellAt(toGrid, row, col);
+      if (before !== after) {
+        changes.push({ row, col, from: before, to: after });
+      }
+    }
+  }
+
+  return { from, to, changes };
+}
+
+module.exports = {
+  diffGrids
+};
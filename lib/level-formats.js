@@ -0,0 +1,153 @@
+// Reading and writing Sokoban level packs in the standard XSB text format and
+// the SLC (XML) collection format.
+const SokobanRules = require('../shared/sokoban-rules');
+
+// A board row contains only XSB tile characters and at least one wall
+const BOARD_LINE = /^[#@+$*.\-_ ]*#[#@+$*.\-_ ]*$/;
+const METADATA_LINE = /^\s*(title|author|comment|name)\s*:\s*(.*)$/i;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => {
+  return text.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()];
+  });
+};
+
+const readAttribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  if (!match) return null;
+  return decodeXml(match[2] !== undefined ? match[2] : match[3]).trim() || null;
+};
+
+// Parse a multi-level XSB file. Title/Author lines before the first board
+// describe the collection; after a board they describe that board. Comment
+// ("; name") and free text lines just before a board name it when no Title
+// line does.
+function parseXsb(text) {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const pack = { title: null, author: null, levels: [] };
+  let current = null;
+  let board = null;
+  let pendingTitle = null;
+
+  const flushBoard = () => {
+    if (board) {
+      const level = { title: null, author: null, label: pendingTitle, rows: board };
+      pack.levels.push(level);
+      current = level;
+      pendingTitle = null;
+      board = null;
+    }
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/\s+$/, '');
+
+    if (line.length > 0 && BOARD_LINE.test(line)) {
+      board = board || [];
+      board.push(line);
+      return;
+    }
+
+    flushBoard();
+    if (line.trim() === '') return;
+
+    const metadata = METADATA_LINE.exec(line);
+    if (metadata) {
+      const field = metadata[1].toLowerCase();
+      if (field === 'comment') return;
+      const key = field === 'author' ? 'author' : 'title';
+      const target = current || pack;
+      if (!target[key]) {
+        target[key] = metadata[2].trim() || null;
+      }
+      return;
+    }
+
+    const comment = line.replace(/^\s*;\s*/, '').trim();
+    if (comment) {
+      pendingTitle = comment;
+    }
+  });
+  flushBoard();
+
+  pack.levels = pack.levels.map(level => ({
+    title: level.title || level.label,
+    author: level.author,
+    rows: level.rows
+  }));
+  return pack;
+}
+
+// Parse an SLC collection (<SokobanLevels><LevelCollection><Level><L>...</L>)
+function parseSlc(text) {
+  const titleMatch = /<Title>([\s\S]*?)<\/Title>/i.exec(text);
+  const collectionMatch = /<LevelCollection\b([^>]*)>/i.exec(text);
+  const pack = {
+    title: titleMatch ? decodeXml(titleMatch[1]).trim() || null : null,
+    author: collectionMatch ? readAttribute(collectionMatch[1], 'Copyright') : null,
+    levels: []
+  };
+
+  const levelPattern = /<Level\b([^>]*)>([\s\S]*?)<\/Level>/gi;
+  let match;
+  while ((match = levelPattern.exec(text)) !== null) {
+    const rows = [];
+    const rowPattern = /<L>([\s\S]*?)<\/L>/gi;
+    let row;
+    while ((row = rowPattern.exec(match[2])) !== null) {
+      rows.push(decodeXml(row[1]).replace(/\s+$/, ''));
+    }
+    pack.levels.push({
+      title: readAttribute(match[1], 'Id'),
+      author: readAttribute(match[1], 'Copyright'),
+      rows
+    });
+  }
+
+  return pack;
+}
+
+const detectFormat = (text) => (/^\s*(<\?xml|<SokobanLevels)/i.test(text) ? 'slc' : 'xsb');
+
+// Parse a level pack, detecting the format unless 'xsb' or 'slc' is given.
+// Levels inherit the collection author when they don't name their own.
+function parseLevelPack(text, format) {
+  const resolvedFormat = format || detectFormat(text);
+  if (resolvedFormat !== 'xsb' && resolvedFormat !== 'slc') {
+    throw new Error(`Unsupported level pack format '${format}'`);
+  }
+
+  const pack = resolvedFormat === 'slc' ? parseSlc(text) : parseXsb(text);
+  pack.format = resolvedFormat;
+  pack.levels.forEach(level => {
+    level.author = level.author || pack.author;
+  });
+  return pack;
+}
+
+// Write puzzles ({ name, author, level } with a rules engine level) as an XSB
+// pack. Title and Author lines follow each board, which is how parseXsb reads
+// them back.
+function toXsb(puzzles) {
+  return puzzles.map(puzzle => {
+    const lines = [SokobanRules.serialize(puzzle.level)];
+    if (puzzle.name) lines.push(`Title: ${puzzle.name}`);
+    if (puzzle.author) lines.push(`Author: ${puzzle.author}`);
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+module.exports = {
+  parseXsb,
+  parseSlc,
+  parseLevelPack,
+  toXsb
+};
@@ -0,0 +1,133 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports an async up(db) that receives the helpers
+// below. Applied versions are recorded in the schema_migrations table, and
+// every migration runs in its own transaction so a failure leaves the
+// database at the previous version.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Promise wrappers around a sqlite3 Database, handed to each migration
+function createHelpers(db) {
+  const helpers = {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    }),
+    hasColumn: async (table, column) => {
+      const columns = await helpers.all(`PRAGMA table_info(${table})`);
+      return columns.some(info => info.name === column);
+    },
+    // Databases created before migrations existed may already have the column
+    addColumn: async (table, definition) => {
+      const column = definition.trim().split(/\s+/)[0];
+      if (!(await helpers.hasColumn(table, column))) {
+        await helpers.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+      }
+    }
+  };
+  return helpers;
+}
+
+// All migrations on disk, sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      up: require(path.join(dir, file)).up
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} does not export up()`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(helpers) {
+  await helpers.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Every known migration with whether (and when) it was applied
+async function status(db, dir) {
+  const helpers = createHelpers(db);
+  await ensureMigrationsTable(helpers);
+  const applied = await helpers.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations(dir).map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    appliedAt: appliedAt.get(version) || null
+  }));
+}
+
+// Apply pending migrations in order. Returns the migrations that were applied.
+async function migrate(db, { dir, log = () => {} } = {}) {
+  const helpers = createHelpers(db);
+  const pending = (await status(db, dir)).filter(migration => !migration.applied);
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+  const applied = [];
+
+  for (const { version, name } of pending) {
+    await helpers.run('BEGIN TRANSACTION');
+    try {
+      await migrations.get(version).up(helpers);
+      await helpers.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [version, name]);
+      await helpers.run('COMMIT');
+    } catch (error) {
+      await helpers.run('ROLLBACK').catch(() => {});
+      error.message = `Migration ${version}_${name} failed: ${error.message}`;
+      throw error;
+    }
+    log(`Applied migration ${version}_${name}`);
+    applied.push({ version, name });
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  createHelpers,
+  loadMigrations,
+  status,
+  migrate
+};
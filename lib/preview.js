@@ -0,0 +1,290 @@
+// Preview images of a board. Every tile is drawn from a few simple shapes
+// given in cell units, so the SVG and the PNG renderer produce the same
+// picture. PNGs are rasterized and encoded here (zlib is the only dependency).
+// Empty cells outside the level's walls are left transparent.
+const zlib = require('zlib');
+const SokobanRules = require('../shared/sokoban-rules');
+
+const DEFAULT_CELL_SIZE = 32;
+const MIN_CELL_SIZE = 4;
+const MAX_CELL_SIZE = 64;
+// Longest side of a rendered image in pixels
+const MAX_IMAGE_SIZE = 1024;
+
+// Same colours as the game board
+const FLOOR = '#ffffff';
+const goalShapes = [
+  { circle: [0.5, 0.5, 0.3], fill: '#28a745' },
+  { circle: [0.5, 0.5, 0.19], fill: FLOOR },
+  { circle: [0.5, 0.5, 0.09], fill: '#28a745' }
+];
+const crateShapes = (fill, edge) => [
+  { rect: [0.08, 0.08, 0.84, 0.84], fill: edge },
+  { rect: [0.16, 0.16, 0.68, 0.68], fill },
+  { line: [0.2, 0.2, 0.8, 0.8], width: 0.08, stroke: edge },
+  { line: [0.8, 0.2, 0.2, 0.8], width: 0.08, stroke: edge }
+];
+const playerShapes = (fill) => [
+  { circle: [0.5, 0.5, 0.34], fill },
+  { circle: [0.39, 0.42, 0.07], fill: '#ffffff' },
+  { circle: [0.61, 0.42, 0.07], fill: '#ffffff' }
+];
+
+const TILE_SHAPES = {
+  floor: [{ rect: [0, 0, 1, 1], fill: FLOOR }],
+  // Bricks: two rows with staggered mortar joints
+  wall: [
+    { rect: [0, 0, 1, 1], fill: '#8b4513' },
+    { rect: [0, 0.46, 1, 0.08], fill: '#5e2f0d' },
+    { rect: [0.46, 0, 0.08, 0.46], fill: '#5e2f0d' },
+    { rect: [0.21, 0.54, 0.08, 0.46], fill: '#5e2f0d' },
+    { rect: [0.71, 0.54, 0.08, 0.46], fill: '#5e2f0d' }
+  ],
+  goal: goalShapes,
+  box: crateShapes('#ffc107', '#b8860b'),
+  boxOnGoal: crateShapes('#dc3545', '#8b1e29'),
+  player: playerShapes('#007bff'),
+  playerOnGoal: playerShapes('#17a2b8')
+};
+
+// Tiles drawn for a cell, bottom first; null for cells outside the level
+function cellTiles(grid, outside, row, col) {
+  const tile = SokobanRules.TILES[grid[row][col]];
+  if (!tile || outside.has(`${row},${col}`)) return null;
+  if (tile.wall) return ['wall'];
+
+  const tiles = ['floor'];
+  if (tile.goal) tiles.push('goal');
+  if (tile.box) tiles.push(tile.goal ? 'boxOnGoal' : 'box');
+  if (tile.player) tiles.push(tile.goal ? 'playerOnGoal' : 'player');
+  return tiles;
+}
+
+// Empty cells connected to the edge of the grid without crossing a wall
+function outsideCells(grid) {
+  const outside = new Set();
+  const queue = [];
+  const visit = (row, col) => {
+    if (row < 0 || row >= grid.length || col < 0 || col >= grid[row].length) return;
+    const cellKey = `${row},${col}`;
+    const tile = SokobanRules.TILES[grid[row][col]];
+    if (outside.has(cellKey) || !tile || tile.wall || tile.goal || tile.box || tile.player) return;
+    outside.add(cellKey);
+    queue.push([row, col]);
+  };
+
+  grid.forEach((line, row) => {
+    for (let col = 0; col < line.length; col++) {
+      if (row === 0 || row === grid.length - 1 || col === 0 || col === line.length - 1 ||
+          col >= (grid[row - 1] || []).length || col >= (grid[row + 1] || []).length) {
+        visit(row, col);
+      }
+    }
+  });
+  for (let head = 0; head < queue.length; head++) {
+    const [row, col] = queue[head];
+    visit(row - 1, col);
+    visit(row + 1, col);
+    visit(row, col - 1);
+    visit(row, col + 1);
+  }
+  return outside;
+}
+
+const toRows = (grid) => grid.map(row => Array.from(row));
+
+// Size in pixels of the image for a grid
+function imageSize(grid, cellSize) {
+  return {
+    width: grid.reduce((max, row) => Math.max(max, row.length), 0) * cellSize,
+    height: grid.length * cellSize
+  };
+}
+
+// Calls draw(tileName, x, y) for every tile of every cell, x and y in pixels
+function eachTile(rows, cellSize, draw) {
+  const outside = outsideCells(rows);
+  rows.forEach((line, row) => {
+    line.forEach((_, col) => {
+      const tiles = cellTiles(rows, outside, row, col);
+      if (tiles) {
+        tiles.forEach(tile => draw(tile, col * cellSize, row * cellSize));
+      }
+    });
+  });
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function svgShape(shape, cellSize) {
+  const [a, b, c, d] = (shape.rect || shape.circle || shape.line).map(value => round(value * cellSize));
+  if (shape.rect) {
+    return `<rect x="${a}" y="${b}" width="${c}" height="${d}" fill="${shape.fill}"/>`;
+  }
+  if (shape.circle) {
+    return `<circle cx="${a}" cy="${b}" r="${c}" fill="${shape.fill}"/>`;
+  }
+  return `<line x1="${a}" y1="${b}" x2="${c}" y2="${d}" stroke="${shape.stroke}" stroke-width="${round(shape.width * cellSize)}" stroke-linecap="round"/>`;
+}
+
+// SVG document (string). Each tile is defined once and placed with <use>.
+function renderSvg(grid, cellSize = DEFAULT_CELL_SIZE) {
+  const rows = toRows(grid);
+  const { width, height } = imageSize(rows, cellSize);
+  const defs = Object.keys(TILE_SHAPES).map(tile =>
+    `<g id="${tile}">${TILE_SHAPES[tile].map(shape => svgShape(shape, cellSize)).join('')}</g>`
+  );
+  const uses = [];
+  eachTile(rows, cellSize, (tile, x, y) => uses.push(`<use href="#${tile}" x="${x}" y="${y}"/>`));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<defs>${defs.join('')}</defs>${uses.join('')}</svg>`;
+}
+
+const parseColor = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+// RGBA pixel buffer with just enough drawing for the tile shapes. Circles and
+// lines are antialiased with 4x4 samples per pixel.
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 4);
+
+  const blend = (x, y, color, alpha) => {
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const offset = (y * width + x) * 4;
+    const below = pixels[offset + 3] / 255;
+    const outAlpha = alpha + below * (1 - alpha);
+    for (let channel = 0; channel < 3; channel++) {
+      pixels[offset + channel] = alpha === 1
+        ? color[channel]
+        : Math.round((color[channel] * alpha + pixels[offset + channel] * below * (1 - alpha)) / outAlpha);
+    }
+    pixels[offset + 3] = Math.round(outAlpha * 255);
+  };
+
+  // Fill the pixels in a box where inside(x, y) holds for sub-pixel samples
+  const fillCovered = (left, top, right, bottom, color, inside) => {
+    for (let y = Math.floor(top); y < Math.ceil(bottom); y++) {
+      for (let x = Math.floor(left); x < Math.ceil(right); x++) {
+        let covered = 0;
+        for (let sy = 0; sy < 4; sy++) {
+          for (let sx = 0; sx < 4; sx++) {
+            if (inside(x + (sx + 0.5) / 4, y + (sy + 0.5) / 4)) covered++;
+          }
+        }
+        blend(x, y, color, covered / 16);
+      }
+    }
+  };
+
+  return {
+    pixels,
+    rect(x, y, w, h, color) {
+      const left = Math.round(x);
+      const top = Math.round(y);
+      const right = Math.max(Math.round(x + w), left + 1);
+      const bottom = Math.max(Math.round(y + h), top + 1);
+      for (let row = top; row < bottom; row++) {
+        for (let col = left; col < right; col++) {
+          blend(col, row, color, 1);
+        }
+      }
+    },
+    circle(cx, cy, r, color) {
+      fillCovered(cx - r, cy - r, cx + r, cy + r, color,
+        (x, y) => (x - cx) * (x - cx) + (y - cy) * (y - cy) <= r * r);
+    },
+    line(x1, y1, x2, y2, lineWidth, color) {
+      const half = lineWidth / 2;
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSquared = dx * dx + dy * dy || 1;
+      fillCovered(Math.min(x1, x2) - half, Math.min(y1, y2) - half, Math.max(x1, x2) + half, Math.max(y1, y2) + half, color,
+        (x, y) => {
+          const t = Math.min(1, Math.max(0, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+          const px = x1 + t * dx - x;
+          const py = y1 + t * dy - y;
+          return px * px + py * py <= half * half;
+        });
+    }
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGBA PNG from a pixel buffer
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // colour type: RGBA
+
+  // Every scanline starts with its filter type (0, none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// PNG image (Buffer)
+function renderPng(grid, cellSize = DEFAULT_CELL_SIZE) {
+  const rows = toRows(grid);
+  const { width, height } = imageSize(rows, cellSize);
+  const canvas = createCanvas(width, height);
+
+  eachTile(rows, cellSize, (tile, x, y) => {
+    TILE_SHAPES[tile].forEach(shape => {
+      const [a, b, c, d] = (shape.rect || shape.circle || shape.line).map(value => value * cellSize);
+      if (shape.rect) {
+        canvas.rect(x + a, y + b, c, d, parseColor(shape.fill));
+      } else if (shape.circle) {
+        canvas.circle(x + a, y + b, c, parseColor(shape.fill));
+      } else {
+        canvas.line(x + a, y + b, x + c, y + d, shape.width * cellSize, parseColor(shape.stroke));
+      }
+    });
+  });
+
+  return encodePng(width, height, canvas.pixels);
+}
+
+module.exports = {
+  DEFAULT_CELL_SIZE,
+  MIN_CELL_SIZE,
+  MAX_CELL_SIZE,
+  MAX_IMAGE_SIZE,
+  imageSize,
+  renderSvg,
+  renderPng
+};
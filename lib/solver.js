@@ -0,0 +1,413 @@
+// Sokoban solver: A* search over box pushes with dead-square and 2x2 freeze
+// deadlock pruning. With a weight of 1 the heuristic is admissible, so
+// solutions use the fewest possible pushes. If that search runs out of budget
+// a weighted search (fallbackWeight) looks for a near-optimal solution with
+// the time and states that remain. solveAsync runs the search in a worker
+// thread so a long search never blocks the HTTP server.
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const SokobanRules = require('../shared/sokoban-rules');
+
+const DEFAULT_OPTIONS = {
+  timeLimitMs: 10000,
+  maxStates: 500000,
+  memoryLimitMb: 256,
+  weight: 1,
+  fallbackWeight: 2
+};
+
+const STEPS = [
+  { key: 'u', dRow: -1, dCol: 0 },
+  { key: 'd', dRow: 1, dCol: 0 },
+  { key: 'l', dRow: 0, dCol: -1 },
+  { key: 'r', dRow: 0, dCol: 1 }
+];
+
+// Binary heap ordered by f, then by h so deeper nodes win ties
+class PriorityQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  static before(a, b) {
+    return a.f < b.f || (a.f === b.f && a.h < b.h);
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!PriorityQueue.before(items[index], items[parent])) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && PriorityQueue.before(items[left], items[smallest])) smallest = left;
+        if (right < items.length && PriorityQueue.before(items[right], items[smallest])) smallest = right;
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Flatten the level into typed arrays with a one-cell wall border, so moving
+// off any edge always hits a wall.
+function compileBoard(level) {
+  const width = level.width + 2;
+  const height = level.height + 2;
+  const size = width * height;
+  const walls = new Uint8Array(size).fill(1);
+  const goals = new Uint8Array(size);
+  const index = (row, col) => (row + 1) * width + (col + 1);
+
+  for (let row = 0; row < level.height; row++) {
+    for (let col = 0; col < level.width; col++) {
+      walls[index(row, col)] = level.map[row][col] === '#' ? 1 : 0;
+    }
+  }
+  level.goals.forEach(goal => {
+    goals[index(goal.row, goal.col)] = 1;
+  });
+
+  return {
+    width,
+    size,
+    walls,
+    goals,
+    goalCount: level.goals.length,
+    offsets: STEPS.map(step => step.dRow * width + step.dCol),
+    index,
+    player: index(level.player.row, level.player.col),
+    boxes: level.boxes.map(box => index(box.row, box.col)).sort((a, b) => a - b)
+  };
+}
+
+// Minimum number of pushes from every cell to the nearest goal, ignoring other
+// boxes. Found by pulling a box backwards from each goal: a box can reach cell
+// c from c - d when both c - d and c - 2d (where the player stands) are open.
+// Cells left at Infinity are dead squares.
+function computePushDistances(board) {
+  const distances = new Array(board.size).fill(Infinity);
+  const queue = [];
+  for (let cell = 0; cell < board.size; cell++) {
+    if (board.goals[cell]) {
+      distances[cell] = 0;
+      queue.push(cell);
+    }
+  }
+
+  for (let head = 0; head < queue.length; head++) {
+    const cell = queue[head];
+    board.offsets.forEach(offset => {
+      const from = cell - offset;
+      const playerCell = from - offset;
+      if (playerCell < 0 || playerCell >= board.size) return;
+      if (!board.walls[from] && !board.walls[playerCell] && distances[from] === Infinity) {
+        distances[from] = distances[cell] + 1;
+        queue.push(from);
+      }
+    });
+  }
+
+  return distances;
+}
+
+function createSearch(board) {
+  const occupied = new Uint8Array(board.size);
+  const visited = new Uint32Array(board.size);
+  let stamp = 0;
+
+  // Flood fill the player's region. Returns the smallest reachable cell, which
+  // identifies the region, and leaves visited[] marked with the current stamp.
+  const reach = (start) => {
+    stamp++;
+    const queue = [start];
+    visited[start] = stamp;
+    let smallest = start;
+    for (let head = 0; head < queue.length; head++) {
+      const cell = queue[head];
+      if (cell < smallest) smallest = cell;
+      for (let i = 0; i < 4; i++) {
+        const next = cell + board.offsets[i];
+        if (visited[next] !== stamp && !board.walls[next] && !occupied[next]) {
+          visited[next] = stamp;
+          queue.push(next);
+        }
+      }
+    }
+    return smallest;
+  };
+
+  const isReachable = (cell) => visited[cell] === stamp;
+
+  const blocked = (cell) => board.walls[cell] === 1 || occupied[cell] === 1;
+
+  // A box that just moved to cell is frozen if any 2x2 square containing it is
+  // entirely walls and boxes, with at least one of those boxes off a goal.
+  const createsFreeze = (cell) => {
+    const w = board.width;
+    const squares = [
+      [cell, cell + 1, cell + w, cell + w + 1],
+      [cell, cell - 1, cell + w, cell + w - 1],
+      [cell, cell + 1, cell - w, cell - w + 1],
+      [cell, cell - 1, cell - w, cell - w - 1]
+    ];
+    return squares.some(square =>
+      square.every(blocked) &&
+      square.some(part => occupied[part] && !board.goals[part])
+    );
+  };
+
+  return { occupied, reach, isReachable, createsFreeze };
+}
+
+const stateKey = (boxes, player) => String.fromCharCode(...boxes, player);
+
+// Breadth-first walk for the player between two cells with boxes fixed
+function walkPath(board, occupied, from, to) {
+  if (from === to) return '';
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  for (let head = 0; head < queue.length; head++) {
+    const cell = queue[head];
+    for (let i = 0; i < 4; i++) {
+      const next = cell + board.offsets[i];
+      if (previous.has(next) || board.walls[next] || occupied[next]) continue;
+      previous.set(next, { cell, key: STEPS[i].key });
+      if (next === to) {
+        let path = '';
+        for (let step = previous.get(to); step; step = previous.get(step.cell)) {
+          path = step.key + path;
+        }
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+// Turn the list of pushes found by the search into a full LURD string
+function buildSolution(board, pushes) {
+  const occupied = new Uint8Array(board.size);
+  board.boxes.forEach(box => { occupied[box] = 1; });
+  let player = board.player;
+  let solution = '';
+
+  pushes.forEach(({ box, direction }) => {
+    const offset = board.offsets[direction];
+    solution += walkPath(board, occupied, player, box - offset);
+    solution += STEPS[direction].key.toUpperCase();
+    occupied[box] = 0;
+    occupied[box + offset] = 1;
+    player = box;
+  });
+
+  return solution;
+}
+
+// One A* pass. Returns a result object, or a timed_out result when the
+// deadline or the state limit is reached first.
+function runSearch(level, board, distances, strict, weight, limits) {
+  const heuristic = (boxes) => boxes.reduce((sum, box) => sum + distances[box], 0);
+  const isGoalState = (boxes) => boxes.filter(box => board.goals[box]).length === board.goalCount;
+
+  const search = createSearch(board);
+  const { occupied } = search;
+  board.boxes.forEach(box => { occupied[box] = 1; });
+  const rootPlayer = search.reach(board.player);
+  board.boxes.forEach(box => { occupied[box] = 0; });
+
+  const rootH = heuristic(board.boxes);
+  const root = { boxes: board.boxes, player: rootPlayer, g: 0, h: rootH, f: weight * rootH, parent: null, push: null };
+  const bestCost = new Map([[stateKey(root.boxes, root.player), 0]]);
+  const open = new PriorityQueue();
+  open.push(root);
+  let explored = 0;
+
+  while (open.size > 0) {
+    const node = open.pop();
+    if (bestCost.get(stateKey(node.boxes, node.player)) < node.g) continue;
+
+    if (isGoalState(node.boxes)) {
+      const pushes = [];
+      for (let current = node; current.parent; current = current.parent) {
+        pushes.unshift(current.push);
+      }
+      const solution = buildSolution(board, pushes);
+      const check = SokobanRules.replay(level, solution);
+      if (!check.valid || !SokobanRules.isSolved(check.state)) {
+        throw new Error('Solver produced an invalid solution');
+      }
+      return {
+        status: 'solved',
+        solution,
+        moves: solution.length,
+        pushes: pushes.length,
+        optimal: weight === 1 && strict,
+        explored
+      };
+    }
+
+    explored++;
+    if (explored % 1000 === 0 && Date.now() > limits.deadline) {
+      return { status: 'timed_out', reason: 'time', explored };
+    }
+    if (bestCost.size > limits.maxStates) {
+      return { status: 'timed_out', reason: 'memory', explored };
+    }
+
+    node.boxes.forEach(box => { occupied[box] = 1; });
+    search.reach(node.player);
+    const candidates = [];
+    node.boxes.forEach((box, boxIndex) => {
+      for (let direction = 0; direction < 4; direction++) {
+        const offset = board.offsets[direction];
+        const target = box + offset;
+        if (!search.isReachable(box - offset) || board.walls[target] || occupied[target]) continue;
+        if (strict && distances[target] === Infinity) continue;
+        candidates.push({ box, boxIndex, direction, target });
+      }
+    });
+
+    candidates.forEach(({ box, boxIndex, direction, target }) => {
+      occupied[box] = 0;
+      occupied[target] = 1;
+      if (!strict || !search.createsFreeze(target)) {
+        const boxes = node.boxes.slice();
+        boxes[boxIndex] = target;
+        boxes.sort((a, b) => a - b);
+        const player = search.reach(box);
+        const key = stateKey(boxes, player);
+        const g = node.g + 1;
+        if (!bestCost.has(key) || bestCost.get(key) > g) {
+          bestCost.set(key, g);
+          const h = heuristic(boxes);
+          open.push({ boxes, player, g, h, f: g + weight * h, parent: node, push: { box, direction } });
+        }
+      }
+      occupied[target] = 0;
+      occupied[box] = 1;
+    });
+    node.boxes.forEach(box => { occupied[box] = 0; });
+  }
+
+  return { status: 'unsolvable', reason: 'Every reachable position was searched', explored };
+}
+
+// Solve a rules engine level. Returns one of:
+//   { status: 'solved', solution, moves, pushes, optimal, ... }
+//   { status: 'unsolvable', reason, ... }
+//   { status: 'timed_out', reason: 'time' | 'memory', ... }
+// along with statesExplored and elapsedMs.
+function solve(level, options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const startedAt = Date.now();
+  const finish = (result, explored) => {
+    const { explored: _ignored, ...rest } = result;
+    return Object.assign(rest, { statesExplored: explored, elapsedMs: Date.now() - startedAt });
+  };
+
+  const board = compileBoard(level);
+  if (board.boxes.length < board.goalCount) {
+    return finish({ status: 'unsolvable', reason: 'Fewer boxes than goals' }, 0);
+  }
+
+  // Dead squares and the distance heuristic assume every box must end on a
+  // goal, which only holds when the counts match.
+  const strict = board.boxes.length === board.goalCount;
+  const distances = strict ? computePushDistances(board) : new Array(board.size).fill(0);
+
+  if (strict && board.boxes.some(box => distances[box] === Infinity)) {
+    return finish({ status: 'unsolvable', reason: 'A box starts on a dead square' }, 0);
+  }
+
+  const deadline = startedAt + settings.timeLimitMs;
+  const useFallback = settings.fallbackWeight && settings.fallbackWeight !== settings.weight;
+
+  // Leave half of the budget for the fallback pass
+  const first = runSearch(level, board, distances, strict, settings.weight, {
+    deadline: useFallback ? startedAt + settings.timeLimitMs / 2 : deadline,
+    maxStates: useFallback ? settings.maxStates / 2 : settings.maxStates
+  });
+  if (first.status !== 'timed_out' || !useFallback) {
+    return finish(first, first.explored);
+  }
+
+  const second = runSearch(level, board, distances, strict, settings.fallbackWeight, {
+    deadline,
+    maxStates: settings.maxStates / 2
+  });
+  return finish(second, first.explored + second.explored);
+}
+
+// Run solve() in a worker thread with a heap limit. A worker that runs out of
+// memory or overruns the time limit is reported as timed out.
+function solveAsync(level, options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { solverJob: true, level, options: settings },
+      resourceLimits: { maxOldGenerationSizeMb: settings.memoryLimitMb }
+    });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(watchdog);
+      worker.terminate();
+      callback(value);
+    };
+    const timedOut = (reason) => ({
+      status: 'timed_out',
+      reason,
+      statesExplored: null,
+      elapsedMs: Date.now() - startedAt
+    });
+
+    // Safety net in case the search loop doesn't get to its own time check
+    const watchdog = setTimeout(() => settle(resolve, timedOut('time')), settings.timeLimitMs + 2000);
+
+    worker.on('message', result => settle(resolve, result));
+    worker.on('error', error => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        settle(resolve, timedOut('memory'));
+      } else {
+        settle(reject, error);
+      }
+    });
+    worker.on('exit', code => settle(reject, new Error(`Solver worker exited with code ${code}`)));
+  });
+}
+
+if (!isMainThread && workerData && workerData.solverJob) {
+  parentPort.postMessage(solve(workerData.level, workerData.options));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  solve,
+  solveAsync
+};
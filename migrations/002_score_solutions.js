@@ -0,0 +1,6 @@
+// Verified move sequences and move/push counts on scores
+exports.up = async (db) => {
+  await db.addColumn('scores', 'moves INTEGER');
+  await db.addColumn('scores', 'pushes INTEGER');
+  await db.addColumn('scores', 'solution TEXT');
+};
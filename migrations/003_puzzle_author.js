@@ -0,0 +1,4 @@
+// Author credit for puzzles imported from level packs
+exports.up = async (db) => {
+  await db.addColumn('puzzles', 'author TEXT');
+};
@@ -0,0 +1,15 @@
+// Hint usage, both self-reported on scores and logged by the hint endpoint
+exports.up = async (db) => {
+  await db.addColumn('scores', 'hints_used INTEGER DEFAULT 0');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS hint_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      puzzle_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id)
+    )
+  `);
+};
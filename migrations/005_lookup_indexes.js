@@ -0,0 +1,6 @@
+// Indexes for the leaderboard, per-user score and hint lookups
+exports.up = async (db) => {
+  await db.run('CREATE INDEX IF NOT EXISTS idx_scores_puzzle ON scores (puzzle_id, time_taken)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_scores_user ON scores (user_id, puzzle_id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_hint_requests_user_puzzle ON hint_requests (user_id, puzzle_id, created_at)');
+};
@@ -0,0 +1,100 @@
+// Ordered level collections. The four starter levels that used to be
+// hard-coded in index.html are seeded as the built-in Classic collection so
+// they get real puzzle ids and leaderboards.
+const CLASSIC_LEVELS = [
+  {
+    name: 'Level 1',
+    grid: [
+      '#######',
+      '#     #',
+      '# P B #',
+      '#     #',
+      '# .   #',
+      '#     #',
+      '#######'
+    ]
+  },
+  {
+    name: 'Level 2',
+    grid: [
+      '#####',
+      '#.  #',
+      '#PB #',
+      '#   #',
+      '#####'
+    ]
+  },
+  {
+    name: 'Level 3',
+    grid: [
+      '#######',
+      '#     #',
+      '# PBB #',
+      '#     #',
+      '# ..  #',
+      '#     #',
+      '#######'
+    ]
+  },
+  {
+    name: 'Level 4',
+    grid: [
+      '########',
+      '#      #',
+      '# P  B #',
+      '#      #',
+      '#      #',
+      '#  .   #',
+      '#      #',
+      '########'
+    ]
+  }
+];
+
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE,
+      name TEXT NOT NULL,
+      description TEXT,
+      author TEXT,
+      built_in INTEGER DEFAULT 0,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE collection_puzzles (
+      collection_id INTEGER NOT NULL,
+      puzzle_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (collection_id, puzzle_id),
+      FOREIGN KEY (collection_id) REFERENCES collections(id),
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id)
+    )
+  `);
+  await db.run('CREATE INDEX idx_collection_puzzles_position ON collection_puzzles (collection_id, position)');
+  await db.run('CREATE INDEX idx_collection_puzzles_puzzle ON collection_puzzles (puzzle_id)');
+
+  const collection = await db.run(`
+    INSERT INTO collections (slug, name, description, built_in)
+    VALUES ('classic', 'Classic', 'The starter levels that ship with the game', 1)
+  `);
+
+  for (let position = 0; position < CLASSIC_LEVELS.length; position++) {
+    const { name, grid } = CLASSIC_LEVELS[position];
+    const layout = {
+      width: grid[0].length,
+      height: grid.length,
+      grid: grid.map(row => Array.from(row))
+    };
+    const puzzle = await db.run('INSERT INTO puzzles (name, layout) VALUES (?, ?)', [name, JSON.stringify(layout)]);
+    await db.run(
+      'INSERT INTO collection_puzzles (collection_id, puzzle_id, position) VALUES (?, ?, ?)',
+      [collection.id, puzzle.id, position]
+    );
+  }
+};
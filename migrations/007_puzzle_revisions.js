@@ -0,0 +1,32 @@
+// Revision history for puzzle edits. Existing puzzles get their current
+// name and layout as revision 1, and existing scores are attributed to it.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE puzzle_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      puzzle_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      layout TEXT NOT NULL,
+      created_by INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (puzzle_id, revision),
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  // revision is the puzzle's current revision. Leaderboards only rank scores
+  // set on leaderboard_revision or later, so an edit can reset them.
+  await db.addColumn('puzzles', 'revision INTEGER DEFAULT 1');
+  await db.addColumn('puzzles', 'leaderboard_revision INTEGER DEFAULT 1');
+  await db.addColumn('scores', 'puzzle_revision INTEGER DEFAULT 1');
+
+  await db.run(`
+    INSERT INTO puzzle_revisions (puzzle_id, revision, name, layout, created_by, note, created_at)
+    SELECT id, 1, name, layout, created_by, 'Original version', created_at FROM puzzles
+  `);
+  await db.run('UPDATE puzzles SET revision = 1, leaderboard_revision = 1');
+  await db.run('UPDATE scores SET puzzle_revision = 1 WHERE puzzle_revision IS NULL');
+};
@@ -0,0 +1,7 @@
+// Publishing lifecycle for puzzles: draft, scheduled (with publish_at),
+// published or archived. Existing puzzles stay visible as published.
+exports.up = async (db) => {
+  await db.addColumn('puzzles', "status TEXT NOT NULL DEFAULT 'published'");
+  await db.addColumn('puzzles', 'publish_at DATETIME');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzles_status ON puzzles (status, publish_at)');
+};
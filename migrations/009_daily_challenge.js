@@ -0,0 +1,18 @@
+// Daily challenge. daily_puzzles holds the puzzle of each UTC day, either
+// queued by an admin or picked by rotation the first time the day is
+// requested. Scores set on the day's puzzle that day carry daily_date.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE daily_puzzles (
+      date TEXT PRIMARY KEY,
+      puzzle_id INTEGER NOT NULL,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )
+  `);
+
+  await db.addColumn('scores', 'daily_date TEXT');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_scores_daily ON scores (daily_date, puzzle_id, time_taken)');
+};
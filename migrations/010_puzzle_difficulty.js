@@ -0,0 +1,26 @@
+// Computed difficulty per puzzle: solver metrics for the revision they were
+// taken on, player statistics, and the combined score and tier. Rows are
+// filled in by the server in the background, so existing puzzles get rated
+// after the next start.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE puzzle_difficulty (
+      puzzle_id INTEGER PRIMARY KEY,
+      revision INTEGER NOT NULL,
+      boxes INTEGER NOT NULL,
+      solver_status TEXT NOT NULL,
+      solution_moves INTEGER,
+      solution_pushes INTEGER,
+      states_explored INTEGER,
+      structural_score REAL NOT NULL,
+      player_count INTEGER DEFAULT 0,
+      median_time REAL,
+      unassisted_rate REAL,
+      score REAL NOT NULL,
+      tier TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzle_difficulty_tier ON puzzle_difficulty (tier, score)');
+};
@@ -0,0 +1,23 @@
+// Player ratings (1-5) and short reviews, one per player and puzzle. Admins
+// can hide a review; hidden reviews are only shown to their author and in
+// the admin dashboard, and don't count towards the average.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE puzzle_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      puzzle_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      review TEXT,
+      hidden INTEGER NOT NULL DEFAULT 0,
+      hidden_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (puzzle_id, user_id),
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (hidden_by) REFERENCES users(id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzle_reviews_hidden ON puzzle_reviews (hidden, created_at)');
+};
@@ -0,0 +1,26 @@
+// Puzzles submitted by players. A submission waits in the moderation queue
+// as pending until an admin approves it (creating a puzzle), rejects it or
+// asks for changes; the submitter can then edit and resubmit it.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE puzzle_submissions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      layout TEXT NOT NULL,
+      solution TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      moderator_note TEXT,
+      reviewed_by INTEGER,
+      reviewed_at DATETIME,
+      puzzle_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (reviewed_by) REFERENCES users(id),
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzle_submissions_status ON puzzle_submissions (status, updated_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzle_submissions_user ON puzzle_submissions (user_id)');
+};
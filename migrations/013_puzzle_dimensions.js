@@ -0,0 +1,26 @@
+// Width, height and box count of each puzzle's current layout, so the puzzle
+// list can be filtered on them without parsing every layout. Existing puzzles
+// are filled in from their layouts.
+const SokobanRules = require('../shared/sokoban-rules');
+
+exports.up = async (db) => {
+  await db.addColumn('puzzles', 'width INTEGER');
+  await db.addColumn('puzzles', 'height INTEGER');
+  await db.addColumn('puzzles', 'boxes INTEGER');
+
+  const puzzles = await db.all('SELECT id, layout FROM puzzles');
+  for (const puzzle of puzzles) {
+    let grid;
+    try {
+      grid = JSON.parse(puzzle.layout).grid;
+    } catch (error) {
+      continue;
+    }
+    if (!Array.isArray(grid)) continue;
+
+    const { width, height, boxes } = SokobanRules.gridDimensions(grid);
+    await db.run('UPDATE puzzles SET width = ?, height = ?, boxes = ? WHERE id = ?', [width, height, boxes, puzzle.id]);
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_puzzles_boxes ON puzzles (boxes)');
+};
@@ -0,0 +1,6 @@
+// When each move of a score's solution was made (JSON array of milliseconds
+// since the level started), so runs can be replayed at their real pace.
+// Older scores have none and are replayed at a fixed speed.
+exports.up = async (db) => {
+  await db.addColumn('scores', 'move_times TEXT');
+};
@@ -0,0 +1,23 @@
+// Play attempts tracked by the server. The game opens one when a level loads
+// and closes it as solved (by saving a score), abandoned or reset; scores are
+// timed from their attempt's start. Times keep milliseconds.
+exports.up = async (db) => {
+  await db.run(`
+    CREATE TABLE play_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      puzzle_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      puzzle_revision INTEGER,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME,
+      result TEXT,
+      elapsed_ms INTEGER,
+      score_id INTEGER,
+      FOREIGN KEY (puzzle_id) REFERENCES puzzles(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (score_id) REFERENCES scores(id)
+    )
+  `);
+  await db.run('CREATE INDEX IF NOT EXISTS idx_play_attempts_puzzle ON play_attempts (puzzle_id, result)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_play_attempts_user ON play_attempts (user_id, puzzle_id, result)');
+};
@@ -0,0 +1,6 @@
+// Hints are tied to the play attempt they were given in, so each score counts
+// the hints of its own run
+exports.up = async (db) => {
+  await db.addColumn('hint_requests', 'attempt_id INTEGER REFERENCES play_attempts(id)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_hint_requests_attempt ON hint_requests (attempt_id)');
+};
@@ -0,0 +1,40 @@
+// Schema migration command.
+//   node scripts/migrate.js status   list migrations and whether they are applied
+//   node scripts/migrate.js up       apply pending migrations (the default)
+const sqlite3 = require('sqlite3');
+const Migrations = require('../lib/migrations');
+
+const command = process.argv[2] || 'up';
+const databasePath = './sokoban.db';
+
+if (command !== 'status' && command !== 'up') {
+  console.error(`Unknown command '${command}'. Usage: node scripts/migrate.js [status|up]`);
+  process.exit(1);
+}
+
+const db = new sqlite3.Database(databasePath, async (err) => {
+  if (err) {
+    console.error('❌ Database connection failed:', err.message);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    if (command === 'status') {
+      const migrations = await Migrations.status(db);
+      migrations.forEach(({ version, name, applied, appliedAt }) => {
+        console.log(`${applied ? '✅' : '⏳'} ${String(version).padStart(3, '0')}_${name}${applied ? `  (applied ${appliedAt})` : '  (pending)'}`);
+      });
+      const pending = migrations.filter(migration => !migration.applied).length;
+      console.log(`\n${databasePath}: ${migrations.length - pending} applied, ${pending} pending`);
+    } else {
+      const applied = await Migrations.migrate(db, { log: message => console.log(`✅ ${message}`) });
+      console.log(applied.length > 0 ? `\nApplied ${applied.length} migration(s)` : 'Database is up to date');
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    exitCode = 1;
+  }
+
+  db.close(() => process.exit(exitCode));
+});
@@ -0,0 +1,109 @@
+// Deadlock detection for rules engine states (see sokoban-rules.js). Used by
+// the game board to warn as soon as a push makes the level unsolvable.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SokobanDeadlocks = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  const key = (row, col) => `${row},${col}`;
+
+  function isWall(state, row, col) {
+    if (row < 0 || row >= state.height || col < 0 || col >= state.width) {
+      return true;
+    }
+    return state.map[row][col] === '#';
+  }
+
+  // Squares from which a box can never reach any goal. A box can get to a
+  // square only if it can be pulled there from a goal, which needs the square
+  // and the one behind it (where the player stands) to be free of walls.
+  // Returns a Set of "row,col" keys.
+  function computeDeadSquares(state) {
+    const live = new Set();
+    const queue = [];
+    state.goals.forEach(goal => {
+      live.add(key(goal.row, goal.col));
+      queue.push(goal);
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+      const { row, col } = queue[head];
+      OFFSETS.forEach(([dRow, dCol]) => {
+        const fromRow = row - dRow;
+        const fromCol = col - dCol;
+        if (live.has(key(fromRow, fromCol))) return;
+        if (isWall(state, fromRow, fromCol) || isWall(state, fromRow - dRow, fromCol - dCol)) return;
+        live.add(key(fromRow, fromCol));
+        queue.push({ row: fromRow, col: fromCol });
+      });
+    }
+
+    const dead = new Set();
+    for (let row = 0; row < state.height; row++) {
+      for (let col = 0; col < state.width; col++) {
+        if (!isWall(state, row, col) && !live.has(key(row, col))) {
+          dead.add(key(row, col));
+        }
+      }
+    }
+    return dead;
+  }
+
+  // Boxes that can no longer reach a goal. Each entry is { row, col, type }:
+  //   'corner' - pushed into a corner that isn't a goal
+  //   'wall'   - stuck along a wall with no goal on it
+  //   'dead'   - on another square no box can leave towards a goal
+  //   'freeze' - part of a 2x2 block of walls and boxes with a box off goal
+  // Pass the result of computeDeadSquares to avoid recomputing it per move.
+  function findDeadlocks(state, deadSquares) {
+    const dead = deadSquares || computeDeadSquares(state);
+    const goals = new Set(state.goals.map(goal => key(goal.row, goal.col)));
+    const boxes = new Set(state.boxes.map(box => key(box.row, box.col)));
+    const found = new Map();
+
+    const blocked = (row, col) => isWall(state, row, col) || boxes.has(key(row, col));
+
+    state.boxes.forEach(({ row, col }) => {
+      if (goals.has(key(row, col)) || !dead.has(key(row, col))) return;
+
+      const wallUp = isWall(state, row - 1, col);
+      const wallDown = isWall(state, row + 1, col);
+      const wallLeft = isWall(state, row, col - 1);
+      const wallRight = isWall(state, row, col + 1);
+      let type = 'dead';
+      if ((wallUp || wallDown) && (wallLeft || wallRight)) {
+        type = 'corner';
+      } else if (wallUp || wallDown || wallLeft || wallRight) {
+        type = 'wall';
+      }
+      found.set(key(row, col), { row, col, type });
+    });
+
+    state.boxes.forEach(({ row, col }) => {
+      [[0, 0], [0, -1], [-1, 0], [-1, -1]].forEach(([dRow, dCol]) => {
+        const top = row + dRow;
+        const left = col + dCol;
+        const square = [[top, left], [top, left + 1], [top + 1, left], [top + 1, left + 1]];
+        if (!square.every(([r, c]) => blocked(r, c))) return;
+
+        const stuckBoxes = square.filter(([r, c]) => boxes.has(key(r, c)) && !goals.has(key(r, c)));
+        stuckBoxes.forEach(([r, c]) => {
+          if (!found.has(key(r, c))) {
+            found.set(key(r, c), { row: r, col: c, type: 'freeze' });
+          }
+        });
+      });
+    });
+
+    return Array.from(found.values());
+  }
+
+  return {
+    computeDeadSquares,
+    findDeadlocks
+  };
+});
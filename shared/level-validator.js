@@ -0,0 +1,147 @@
+// Structural validation of puzzle layouts, shared by the server and the admin
+// dashboard. Unlike SokobanRules.parseLevel, which stops at the first problem,
+// validateGrid collects every problem with its position so the dashboard can
+// highlight the offending cells. Rows and columns in errors are 0-based.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LevelValidator = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const KNOWN_TILES = '# .PB@$+*-_';
+  const PLAYER_TILES = 'P@+';
+  const BOX_TILES = 'B$*';
+  const GOAL_TILES = '.+*';
+
+  const OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  const error = (code, message, row, col) => {
+    const entry = { code, message };
+    if (row !== undefined) {
+      entry.row = row;
+      entry.col = col;
+    }
+    return entry;
+  };
+
+  const at = (row, col) => `row ${row + 1}, column ${col + 1}`;
+
+  // Validate a grid given as an array of rows (strings or arrays of single
+  // characters). Short rows are treated as padded with empty space outside
+  // the level, so they are fine as long as the walls enclose the play area.
+  function validateGrid(grid) {
+    if (!Array.isArray(grid) || grid.length === 0) {
+      return { valid: false, errors: [error('empty', 'Grid must be a non-empty array of rows')] };
+    }
+
+    const errors = [];
+    const rows = [];
+    for (let row = 0; row < grid.length; row++) {
+      if (typeof grid[row] !== 'string' && !Array.isArray(grid[row])) {
+        errors.push(error('row-type', `Row ${row + 1} must be a string or an array of tiles`, row, 0));
+        rows.push([]);
+      } else {
+        rows.push(Array.from(grid[row]));
+      }
+    }
+
+    const height = rows.length;
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const cell = (row, col) => (col < rows[row].length ? rows[row][col] : ' ');
+
+    const players = [];
+    const boxes = [];
+    const goals = [];
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < rows[row].length; col++) {
+        const tile = rows[row][col];
+        if (typeof tile !== 'string' || tile.length !== 1 || KNOWN_TILES.indexOf(tile) === -1) {
+          errors.push(error('unknown-tile', `Unknown tile '${tile}' at ${at(row, col)}`, row, col));
+          continue;
+        }
+        if (PLAYER_TILES.indexOf(tile) !== -1) players.push({ row, col });
+        if (BOX_TILES.indexOf(tile) !== -1) boxes.push({ row, col });
+        if (GOAL_TILES.indexOf(tile) !== -1) goals.push({ row, col });
+      }
+    }
+
+    if (players.length === 0) {
+      errors.push(error('no-player', 'Level has no player'));
+    }
+    players.slice(1).forEach(({ row, col }) => {
+      errors.push(error('extra-player', `More than one player: another at ${at(row, col)}`, row, col));
+    });
+
+    if (boxes.length === 0) {
+      errors.push(error('no-boxes', 'Level has no boxes'));
+    }
+    if (boxes.length !== goals.length) {
+      errors.push(error('box-goal-mismatch', `Level has ${boxes.length} boxes but ${goals.length} goals`));
+    }
+
+    // Flood fill everything the player can walk to, ignoring boxes. Reaching
+    // the edge of the grid means the walls don't enclose the level.
+    if (players.length > 0) {
+      const reached = rows.map(() => new Array(width).fill(false));
+      const start = players[0];
+      const queue = [start];
+      reached[start.row][start.col] = true;
+      let leak = null;
+
+      for (let head = 0; head < queue.length; head++) {
+        const { row, col } = queue[head];
+        if (!leak && (row === 0 || col === 0 || row === height - 1 || col === width - 1)) {
+          leak = { row, col };
+        }
+        OFFSETS.forEach(([dRow, dCol]) => {
+          const nextRow = row + dRow;
+          const nextCol = col + dCol;
+          if (nextRow < 0 || nextRow >= height || nextCol < 0 || nextCol >= width) return;
+          if (reached[nextRow][nextCol] || cell(nextRow, nextCol) === '#') return;
+          reached[nextRow][nextCol] = true;
+          queue.push({ row: nextRow, col: nextCol });
+        });
+      }
+
+      if (leak) {
+        errors.push(error('not-enclosed', `Level is not enclosed by walls: the player can reach the edge at ${at(leak.row, leak.col)}`, leak.row, leak.col));
+      } else {
+        boxes.filter(({ row, col }) => !reached[row][col]).forEach(({ row, col }) => {
+          errors.push(error('unreachable-box', `Box at ${at(row, col)} is outside the player's area`, row, col));
+        });
+        goals.filter(({ row, col }) => !reached[row][col]).forEach(({ row, col }) => {
+          errors.push(error('unreachable-goal', `Goal at ${at(row, col)} is outside the player's area`, row, col));
+        });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      stats: { width, height, boxes: boxes.length, goals: goals.length }
+    };
+  }
+
+  // Validate a layout object or JSON string of the form { grid: [...] }
+  function validateLayout(layout) {
+    let parsed = layout;
+    if (typeof layout === 'string') {
+      try {
+        parsed = JSON.parse(layout);
+      } catch (parseError) {
+        return { valid: false, errors: [error('invalid-json', 'Invalid JSON format in layout')] };
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || !('grid' in parsed)) {
+      return { valid: false, errors: [error('no-grid', 'Layout must have a grid')] };
+    }
+    return validateGrid(parsed.grid);
+  }
+
+  return {
+    validateGrid,
+    validateLayout
+  };
+});
@@ -0,0 +1,269 @@
+// Sokoban rules engine shared by the game board (index.html) and the server.
+// Loaded with a <script> tag it defines window.SokobanRules; under Node it is
+// a regular CommonJS module. Every function is pure and never modifies the
+// state it is given.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SokobanRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const WALL = '#';
+  const FLOOR = ' ';
+  const GOAL = '.';
+
+  // Tile characters understood by parseLevel. 'P' and 'B' are the symbols used
+  // by layout grids in the game and admin dashboard, '@' and '$' are their
+  // standard XSB equivalents. '-' and '_' are accepted as XSB floor.
+  const TILES = {
+    '#': { wall: true },
+    ' ': {},
+    '-': {},
+    '_': {},
+    '.': { goal: true },
+    'P': { player: true },
+    '@': { player: true },
+    '+': { player: true, goal: true },
+    'B': { box: true },
+    '$': { box: true },
+    '*': { box: true, goal: true }
+  };
+
+  const DIRECTIONS = {
+    u: { dRow: -1, dCol: 0 },
+    d: { dRow: 1, dCol: 0 },
+    l: { dRow: 0, dCol: -1 },
+    r: { dRow: 0, dCol: 1 }
+  };
+
+  const OPPOSITE = { u: 'd', d: 'u', l: 'r', r: 'l' };
+
+  // Accepts 'u'/'d'/'l'/'r' in either case as well as 'up'/'down'/'left'/'right'
+  function toDirectionKey(direction) {
+    const key = String(direction || '').charAt(0).toLowerCase();
+    return DIRECTIONS[key] ? key : null;
+  }
+
+  function toRows(input) {
+    if (typeof input === 'string') {
+      const lines = input.replace(/\r/g, '').split('\n');
+      while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+        lines.pop();
+      }
+      return lines.map(line => Array.from(line));
+    }
+    if (Array.isArray(input)) {
+      return input.map(row => Array.from(row));
+    }
+    throw new Error('Level must be a string or an array of rows');
+  }
+
+  // Parse a level from a multi-line string or an array of rows (strings or
+  // arrays of single characters). Short rows are padded with floor.
+  function parseLevel(input) {
+    const rows = toRows(input);
+    const height = rows.length;
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+    if (height === 0 || width === 0) {
+      throw new Error('Level is empty');
+    }
+
+    const map = [];
+    const goals = [];
+    const boxes = [];
+    let player = null;
+
+    for (let row = 0; row < height; row++) {
+      let line = '';
+      for (let col = 0; col < width; col++) {
+        const char = col < rows[row].length ? rows[row][col] : FLOOR;
+        const tile = TILES[char];
+        if (!tile) {
+          throw new Error(`Unknown tile '${char}' at row ${row + 1}, column ${col + 1}`);
+        }
+        if (tile.player) {
+          if (player) {
+            throw new Error(`More than one player (row ${row + 1}, column ${col + 1})`);
+          }
+          player = { row, col };
+        }
+        if (tile.box) {
+          boxes.push({ row, col });
+        }
+        if (tile.goal) {
+          goals.push({ row, col });
+        }
+        line += tile.wall ? WALL : tile.goal ? GOAL : FLOOR;
+      }
+      map.push(line);
+    }
+
+    if (!player) {
+      throw new Error('Level has no player');
+    }
+
+    return { width, height, map, goals, player, boxes, history: '' };
+  }
+
+  function tileAt(state, row, col) {
+    if (row < 0 || row >= state.height || col < 0 || col >= state.width) {
+      return WALL;
+    }
+    return state.map[row][col];
+  }
+
+  function boxIndexAt(state, row, col) {
+    return state.boxes.findIndex(box => box.row === row && box.col === col);
+  }
+
+  function isGoal(state, row, col) {
+    return tileAt(state, row, col) === GOAL;
+  }
+
+  // Move the player one step. Returns the new state, or null when the move is
+  // blocked by a wall or by a box that cannot be pushed. The move is appended
+  // to state.history in LURD notation (uppercase for pushes).
+  function applyMove(state, direction) {
+    const key = toDirectionKey(direction);
+    if (!key) {
+      throw new Error(`Unknown direction '${direction}'`);
+    }
+
+    const { dRow, dCol } = DIRECTIONS[key];
+    const toRow = state.player.row + dRow;
+    const toCol = state.player.col + dCol;
+
+    if (tileAt(state, toRow, toCol) === WALL) {
+      return null;
+    }
+
+    let boxes = state.boxes;
+    let pushed = false;
+    const boxIndex = boxIndexAt(state, toRow, toCol);
+    if (boxIndex !== -1) {
+      const pushRow = toRow + dRow;
+      const pushCol = toCol + dCol;
+      if (tileAt(state, pushRow, pushCol) === WALL || boxIndexAt(state, pushRow, pushCol) !== -1) {
+        return null;
+      }
+      boxes = boxes.slice();
+      boxes[boxIndex] = { row: pushRow, col: pushCol };
+      pushed = true;
+    }
+
+    return Object.assign({}, state, {
+      player: { row: toRow, col: toCol },
+      boxes,
+      history: state.history + (pushed ? key.toUpperCase() : key)
+    });
+  }
+
+  // Take back the last move in state.history, pulling the box back if it was a
+  // push. Returns null when there is nothing to undo.
+  function undo(state) {
+    if (!state.history) {
+      return null;
+    }
+
+    const last = state.history[state.history.length - 1];
+    const key = last.toLowerCase();
+    const { dRow, dCol } = DIRECTIONS[key];
+    const { row, col } = state.player;
+
+    let boxes = state.boxes;
+    if (last !== key) {
+      const boxIndex = boxIndexAt(state, row + dRow, col + dCol);
+      boxes = boxes.slice();
+      boxes[boxIndex] = { row, col };
+    }
+
+    const back = DIRECTIONS[OPPOSITE[key]];
+    return Object.assign({}, state, {
+      player: { row: row + back.dRow, col: col + back.dCol },
+      boxes,
+      history: state.history.slice(0, -1)
+    });
+  }
+
+  // Apply a whole LURD string. Case is ignored on input; the resulting history
+  // records pushes from the actual replay.
+  function replay(state, moves) {
+    let current = state;
+    for (let i = 0; i < moves.length; i++) {
+      if (!toDirectionKey(moves[i])) {
+        return { valid: false, index: i, error: `Unknown move '${moves[i]}' at position ${i + 1}` };
+      }
+      const next = applyMove(current, moves[i]);
+      if (!next) {
+        return { valid: false, index: i, error: `Illegal move '${moves[i]}' at position ${i + 1}` };
+      }
+      current = next;
+    }
+    return { valid: true, state: current };
+  }
+
+  // A level is solved when every goal is covered by a box
+  function isSolved(state) {
+    return state.goals.length > 0 &&
+      state.goals.every(goal => boxIndexAt(state, goal.row, goal.col) !== -1);
+  }
+
+  function countPushes(history) {
+    return (history.match(/[UDLR]/g) || []).length;
+  }
+
+  // Width, height and box count of a layout grid (rows as arrays or strings),
+  // counting boxes in any of their notations
+  function gridDimensions(grid) {
+    const rows = grid.map(row => Array.from(row));
+    return {
+      width: rows.reduce((max, row) => Math.max(max, row.length), 0),
+      height: rows.length,
+      boxes: rows.reduce((count, row) => count + row.filter(tile => (TILES[tile] || {}).box).length, 0)
+    };
+  }
+
+  function cellChar(state, row, col, symbols) {
+    const goal = isGoal(state, row, col);
+    if (state.player.row === row && state.player.col === col) {
+      return goal ? '+' : symbols.player;
+    }
+    if (boxIndexAt(state, row, col) !== -1) {
+      return goal ? '*' : symbols.box;
+    }
+    return state.map[row][col];
+  }
+
+  // Layout grid (array of arrays) using the game's symbols: # . P B + * and space
+  function toGrid(state) {
+    const symbols = { player: 'P', box: 'B' };
+    return state.map.map((line, row) =>
+      Array.from(line).map((_, col) => cellChar(state, row, col, symbols))
+    );
+  }
+
+  // Standard XSB text with trailing spaces trimmed from each row
+  function serialize(state) {
+    const symbols = { player: '@', box: '$' };
+    return state.map.map((line, row) =>
+      Array.from(line).map((_, col) => cellChar(state, row, col, symbols)).join('').replace(/\s+$/, '')
+    ).join('\n');
+  }
+
+  return {
+    TILES,
+    DIRECTIONS,
+    parseLevel,
+    applyMove,
+    undo,
+    replay,
+    isSolved,
+    isGoal,
+    countPushes,
+    gridDimensions,
+    toGrid,
+    serialize
+  };
+});
@@ -0,0 +1,68 @@
+// Grid operations of the admin dashboard's level editor. The editor lives in
+// admin.html's inline script, so its functions are read from the page and run
+// in a sandbox with the DOM-facing parts stubbed out.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const LevelValidator = require('../shared/level-validator');
+const SokobanRules = require('../shared/sokoban-rules');
+const { pageFunction } = require('./helpers');
+
+const EDITOR_FUNCTIONS = ['blankGrid', 'normalizeGrid', 'paintCell', 'resizeEditor', 'mirrorEditor', 'rotateEditor'];
+
+const loadEditor = (grid) => {
+  const sandbox = { editorTile: '#', saved: [] };
+  vm.createContext(sandbox);
+  vm.runInContext(`
+    const EDITOR_MIN_SIZE = 3;
+    const EDITOR_MAX_SIZE = 50;
+    let editorGrid = ${JSON.stringify(grid || [])};
+    function updateLayoutFromEditor() { saved.push(JSON.parse(JSON.stringify(editorGrid))); }
+    ${EDITOR_FUNCTIONS.map(name => pageFunction('admin.html', name)).join('\n')}
+    this.api = {
+      ${EDITOR_FUNCTIONS.join(', ')},
+      grid: () => editorGrid,
+      setTile: (tile) => { editorTile = tile; }
+    };
+  `, sandbox);
+  return sandbox.api;
+};
+
+// Array.from copies into this realm so deepStrictEqual compares plain arrays
+const rows = (grid) => Array.from(grid, row => Array.from(row).join(''));
+
+test('the editor starts from walls around an empty floor', () => {
+  assert.deepStrictEqual(rows(loadEditor().blankGrid(4, 3)), ['####', '#  #', '####']);
+});
+
+test('loaded grids are made rectangular', () => {
+  assert.deepStrictEqual(rows(loadEditor().normalizeGrid(['###', ['#', 'P'], 7])), ['###', '#P ', '   ']);
+});
+
+test('resizing adds floor at the bottom and right and stays within bounds', () => {
+  const editor = loadEditor([['#', '#', '#'], ['#', 'P', '#'], ['#', '#', '#']]);
+  editor.resizeEditor(1, 1);
+  assert.deepStrictEqual(rows(editor.grid()), ['### ', '#P# ', '### ', '    ']);
+  editor.resizeEditor(-2, 0);
+  assert.strictEqual(editor.grid().length, 4);
+});
+
+test('mirroring and rotating keep the level valid', () => {
+  const grid = SokobanRules.toGrid(SokobanRules.parseLevel(['#####', '#@$.#', '#   #', '#####']));
+  const editor = loadEditor(grid);
+
+  editor.mirrorEditor('horizontal');
+  assert.deepStrictEqual(rows(editor.grid()).slice(1, 3), ['#.BP#', '#   #']);
+  editor.mirrorEditor('vertical');
+  assert.deepStrictEqual(rows(editor.grid()).slice(1, 3), ['#   #', '#.BP#']);
+  editor.rotateEditor();
+  assert.deepStrictEqual(rows(editor.grid()), ['####', '#. #', '#B #', '#P #', '####']);
+  assert.strictEqual(LevelValidator.validateGrid(editor.grid()).valid, true);
+});
+
+test('painting the player moves it, leaving a goal behind if it stood on one', () => {
+  const editor = loadEditor([['#', '#', '#', '#', '#'], ['#', '+', 'B', ' ', '#'], ['#', '#', '#', '#', '#']]);
+  editor.setTile('P');
+  editor.paintCell(1, 3);
+  assert.deepStrictEqual(rows(editor.grid())[1], '#.BP#');
+});
@@ -0,0 +1,99 @@
+// Play attempts: opening and closing them, timing scores and attempt statistics
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let player;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  player = await server.register();
+});
+
+after(() => server.stop());
+
+const open = (puzzleId, token = player.token) => server.request('POST', '/api/attempts', { token, body: { puzzleId } });
+const close = (attemptId, result, token = player.token) =>
+  server.request('POST', `/api/attempts/${attemptId}/close`, { token, body: { result } });
+const score = (puzzleId, attemptId) =>
+  server.request('POST', '/api/scores', { token: player.token, body: { puzzleId, attemptId, solution: 'R', moveTimes: [0] } });
+
+test('an attempt is closed once, as abandoned or reset, by its own player', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const { status, body } = await open(puzzle.id);
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.attempt.result, null);
+
+  assert.strictEqual((await close(body.attempt.id, 'solved')).status, 400);
+  assert.strictEqual((await close(body.attempt.id, 'gave-up')).status, 400);
+  const other = await server.register();
+  assert.strictEqual((await close(body.attempt.id, 'reset', other.token)).status, 404);
+
+  const closed = await close(body.attempt.id, 'reset');
+  assert.strictEqual(closed.status, 200);
+  assert.strictEqual(closed.body.attempt.result, 'reset');
+  assert.ok(closed.body.attempt.elapsed_ms >= 0);
+  assert.strictEqual((await close(body.attempt.id, 'abandoned')).status, 409);
+});
+
+test('opening a new attempt abandons the player\'s open one', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const first = await open(puzzle.id);
+  await open(puzzle.id);
+  const [row] = await server.query('SELECT result FROM play_attempts WHERE id = ?', [first.body.attempt.id]);
+  assert.strictEqual(row.result, 'abandoned');
+  assert.strictEqual((await score(puzzle.id, first.body.attempt.id)).status, 409);
+});
+
+test('attempts can only be opened on published, unlocked puzzles', async () => {
+  assert.strictEqual((await open(99999)).status, 404);
+  const draft = await server.createPuzzle(admin, { status: 'draft' });
+  assert.strictEqual((await open(draft.id)).status, 403);
+
+  const first = await server.createPuzzle(admin);
+  const second = await server.createPuzzle(admin);
+  await server.request('POST', '/api/collections', { token: admin, body: { name: 'Attempt pack', puzzleIds: [first.id, second.id] } });
+  assert.match((await open(second.id)).body.error, /Solve the previous level/);
+});
+
+test('a score needs an open attempt and is timed from its start', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  assert.strictEqual((await score(puzzle.id, 99999)).status, 409);
+
+  const { body } = await open(puzzle.id);
+  await sleep(1100);
+  const saved = await score(puzzle.id, body.attempt.id);
+  assert.strictEqual(saved.status, 201);
+  assert.strictEqual(saved.body.score.time_taken, 1);
+  assert.strictEqual(saved.body.score.attempt_id, body.attempt.id);
+
+  // The attempt is used up
+  assert.strictEqual((await score(puzzle.id, body.attempt.id)).status, 409);
+  assert.strictEqual((await close(body.attempt.id, 'abandoned')).status, 409);
+});
+
+test('admins see how attempts on each puzzle end', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Measured' });
+  await close((await open(puzzle.id)).body.attempt.id, 'reset');
+  await close((await open(puzzle.id)).body.attempt.id, 'abandoned');
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await open(puzzle.id);
+  // An attempt left open for over a day counts as abandoned
+  const stale = await open(puzzle.id, admin);
+  await server.query('UPDATE play_attempts SET started_at = ? WHERE id = ?', ['2000-01-01 00:00:00.000', stale.body.attempt.id]);
+
+  assert.strictEqual((await server.request('GET', '/api/attempts/stats', { token: player.token })).status, 403);
+  const { body } = await server.request('GET', `/api/attempts/stats?puzzleId=${puzzle.id}`, { token: admin });
+  assert.strictEqual(body.stale_after_hours, 24);
+  const [stats] = body.puzzles;
+  assert.deepStrictEqual(
+    [stats.puzzle_name, stats.attempts, stats.players, stats.solved, stats.abandoned, stats.resets, stats.open],
+    ['Measured', 5, 2, 1, 2, 1, 1]
+  );
+  assert.deepStrictEqual([stats.completion_rate, stats.abandonment_rate, stats.reset_rate], [20, 40, 20]);
+  assert.ok(stats.average_solve_ms >= 0);
+});
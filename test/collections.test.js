@@ -0,0 +1,122 @@
+// Level collections: ordered puzzles, unlocks and progress
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+const createCollection = async (name, puzzleIds) => {
+  const { status, body } = await server.request('POST', '/api/collections', { token: admin, body: { name, puzzleIds } });
+  assert.strictEqual(status, 201);
+  return body.collection;
+};
+
+test('the built-in Classic collection is seeded and cannot be deleted', async () => {
+  const { body } = await server.request('GET', '/api/collections');
+  const classic = body.collections.find(collection => collection.slug === 'classic');
+  assert.strictEqual(classic.built_in, true);
+  assert.strictEqual(classic.puzzle_count, 4);
+
+  const { status } = await server.request('DELETE', `/api/collections/${classic.id}`, { token: admin });
+  assert.strictEqual(status, 400);
+});
+
+test('puzzles unlock one after another as the player solves them', async () => {
+  const puzzles = [];
+  for (const name of ['First', 'Second', 'Third']) {
+    puzzles.push(await server.createPuzzle(admin, { name }));
+  }
+  const collection = await createCollection('Progression', puzzles.map(puzzle => puzzle.id));
+  const player = await server.register();
+
+  const progress = async () => {
+    const { body } = await server.request('GET', `/api/collections/${collection.id}?summary=true`, { token: player.token });
+    assert.ok(body.puzzles.every(puzzle => puzzle.layout === undefined));
+    return body.puzzles.map(puzzle => [puzzle.name, puzzle.solved, puzzle.unlocked]);
+  };
+
+  assert.deepStrictEqual(await progress(), [['First', false, true], ['Second', false, false], ['Third', false, false]]);
+  const locked = await server.submitScore(player.token, puzzles[1].id, 'R');
+  assert.strictEqual(locked.status, 403);
+  assert.match(locked.body.error, /Solve the previous level/);
+
+  assert.strictEqual((await server.submitScore(player.token, puzzles[0].id, 'R')).status, 201);
+  assert.deepStrictEqual(await progress(), [['First', true, true], ['Second', false, true], ['Third', false, false]]);
+  assert.strictEqual((await server.submitScore(player.token, puzzles[1].id, 'R')).status, 201);
+
+  const { body } = await server.request('GET', '/api/collections', { token: player.token });
+  const summary = body.collections.find(entry => entry.id === collection.id);
+  assert.deepStrictEqual([summary.solved_count, summary.puzzle_count], [2, 3]);
+});
+
+test('unpublished puzzles are skipped when finding the previous level', async () => {
+  const first = await server.createPuzzle(admin, { name: 'Open' });
+  const draft = await server.createPuzzle(admin, { name: 'Draft', status: 'draft' });
+  const last = await server.createPuzzle(admin, { name: 'After draft' });
+  const collection = await createCollection('With a draft', [first.id, draft.id, last.id]);
+  const player = await server.register();
+
+  const { body } = await server.request('GET', `/api/collections/${collection.id}`, { token: player.token });
+  assert.deepStrictEqual(body.puzzles.map(puzzle => puzzle.name), ['Open', 'After draft']);
+  assert.strictEqual((await server.submitScore(player.token, first.id, 'R')).status, 201);
+  assert.strictEqual((await server.submitScore(player.token, last.id, 'R')).status, 201);
+
+  // Admins can list the hidden ones; players can't ask to
+  const all = await server.request('GET', `/api/collections/${collection.id}?status=all`, { token: admin });
+  assert.strictEqual(all.body.puzzles.length, 3);
+  assert.strictEqual((await server.request('GET', `/api/collections/${collection.id}?status=all`, { token: player.token })).status, 403);
+});
+
+test('a puzzle in no collection is always playable', async () => {
+  const loose = await server.createPuzzle(admin);
+  const player = await server.register();
+  assert.strictEqual((await server.submitScore(player.token, loose.id, 'R')).status, 201);
+});
+
+test('puzzle lists are checked for unknown ids and duplicates', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const attempt = (puzzleIds) => server.request('POST', '/api/collections', { token: admin, body: { name: 'Bad', puzzleIds } });
+  assert.match((await attempt([puzzle.id, puzzle.id])).body.error, /duplicates/);
+  assert.strictEqual((await attempt([puzzle.id, 9999])).status, 400);
+  assert.strictEqual((await attempt('1,2')).status, 400);
+});
+
+test('concurrent updates each replace the whole list', async () => {
+  const puzzles = [];
+  for (let i = 0; i < 3; i++) {
+    puzzles.push(await server.createPuzzle(admin));
+  }
+  const ids = puzzles.map(puzzle => puzzle.id);
+  const collection = await createCollection('Busy', ids);
+  const orders = [ids, [...ids].reverse(), [ids[1]], [ids[2], ids[0]], ids];
+
+  const results = await Promise.all(orders.map(puzzleIds =>
+    server.request('PUT', `/api/collections/${collection.id}`, { token: admin, body: { puzzleIds } })));
+  assert.deepStrictEqual(results.map(({ status }) => status), orders.map(() => 200));
+
+  const { body } = await server.request('GET', `/api/collections/${collection.id}`);
+  assert.ok(orders.some(order => JSON.stringify(order) === JSON.stringify(body.puzzles.map(puzzle => puzzle.id))));
+});
+
+test('puzzles created at once into a collection are all appended with their first revision', async () => {
+  const collection = await createCollection('Filled at once', []);
+  const created = await Promise.all([1, 2, 3, 4].map(n =>
+    server.createPuzzle(admin, { name: `Batch ${n}`, collectionId: collection.id })));
+
+  const { body } = await server.request('GET', `/api/collections/${collection.id}`);
+  assert.deepStrictEqual(body.puzzles.map(puzzle => puzzle.id).sort((a, b) => a - b), created.map(puzzle => puzzle.id).sort((a, b) => a - b));
+  const positions = await server.query('SELECT position FROM collection_puzzles WHERE collection_id = ? ORDER BY position', [collection.id]);
+  assert.deepStrictEqual(positions.map(({ position }) => position), [0, 1, 2, 3]);
+  const revisions = await server.query(
+    `SELECT COUNT(*) as count FROM puzzle_revisions WHERE puzzle_id IN (${created.map(() => '?').join(', ')})`,
+    created.map(puzzle => puzzle.id));
+  assert.strictEqual(revisions[0].count, 4);
+});
@@ -0,0 +1,116 @@
+// Daily challenge: the puzzle of the day, its leaderboard, streaks and scheduling
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utcDate = (offsetDays = 0) => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+let server;
+let admin;
+let locked;
+let later;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+
+  // A collection whose second and third puzzles are locked for new players;
+  // the second is today's puzzle
+  const first = await server.createPuzzle(admin, { name: 'Daily first' });
+  locked = await server.createPuzzle(admin, { name: 'Daily locked' });
+  later = await server.createPuzzle(admin, { name: 'Daily later' });
+  await server.request('POST', '/api/collections', {
+    token: admin,
+    body: { name: 'Daily pack', puzzleIds: [first.id, locked.id, later.id] }
+  });
+  await server.query('INSERT OR REPLACE INTO daily_puzzles (date, puzzle_id) VALUES (?, ?)', [utcDate(), locked.id]);
+});
+
+after(() => server.stop());
+
+test('the daily puzzle is the same all day and resets at midnight UTC', async () => {
+  const first = await server.request('GET', '/api/daily');
+  const second = await server.request('GET', '/api/daily');
+  assert.strictEqual(first.body.puzzle.id, locked.id);
+  assert.strictEqual(second.body.puzzle.id, locked.id);
+  assert.strictEqual(first.body.date, utcDate());
+  assert.strictEqual(first.body.resetsAt, `${utcDate(1)}T00:00:00.000Z`);
+  assert.strictEqual(first.body.streak, null);
+});
+
+test('the daily puzzle can be played and hinted even when it is locked', async () => {
+  const player = await server.register();
+  const attempt = await server.openAttempt(player.token, locked.id);
+  const hint = await server.request('POST', `/api/puzzles/${locked.id}/hint`, {
+    token: player.token,
+    body: { moves: '', attemptId: attempt.body.attempt.id }
+  });
+  assert.strictEqual(hint.status, 200);
+  const score = await server.submitScore(player.token, locked.id, 'R', { attemptId: attempt.body.attempt.id });
+  assert.strictEqual(score.status, 201);
+  assert.strictEqual(score.body.score.daily_date, utcDate());
+});
+
+test('locked puzzles that are not the daily puzzle get no hints', async () => {
+  const player = await server.register();
+  const { status, body } = await server.request('POST', `/api/puzzles/${later.id}/hint`, {
+    token: player.token,
+    body: { moves: '', attemptId: 1 }
+  });
+  assert.strictEqual(status, 403);
+  assert.match(body.error, /Solve the previous level/);
+});
+
+test('the daily leaderboard keeps each player\'s best time today', async () => {
+  const player = await server.register('daily-regular');
+  await server.submitScore(player.token, locked.id, 'R');
+  await server.submitScore(player.token, locked.id, 'R');
+  const { body } = await server.request('GET', '/api/daily');
+  assert.strictEqual(body.leaderboard.filter(entry => entry.username === 'daily-regular').length, 1);
+});
+
+test('streaks count consecutive days with a daily score', async () => {
+  const player = await server.register();
+  for (const offset of [-5, -2, -1]) {
+    await server.query(
+      'INSERT INTO scores (user_id, puzzle_id, time_taken, moves, pushes, solution, daily_date) VALUES (?, ?, 5, 1, 1, ?, ?)',
+      [player.user.id, locked.id, 'R', utcDate(offset)]
+    );
+  }
+
+  const before = await server.request('GET', '/api/daily', { token: player.token });
+  assert.deepStrictEqual(before.body.streak, { current: 2, best: 2, playedToday: false });
+
+  await server.submitScore(player.token, locked.id, 'R');
+  const afterPlaying = await server.request('GET', '/api/daily', { token: player.token });
+  assert.deepStrictEqual(afterPlaying.body.streak, { current: 3, best: 3, playedToday: true });
+});
+
+test('admins can queue puzzles for future days only', async () => {
+  const schedule = (date, puzzleId) => server.request('PUT', `/api/daily/${date}`, { token: admin, body: { puzzleId } });
+  assert.strictEqual((await schedule(utcDate(), later.id)).status, 400);
+  assert.strictEqual((await schedule('2030-02-30', later.id)).status, 400);
+  assert.strictEqual((await schedule(utcDate(3), 9999)).status, 400);
+  assert.strictEqual((await schedule(utcDate(3), later.id)).status, 200);
+
+  const { body } = await server.request('GET', '/api/daily/schedule', { token: admin });
+  assert.ok(body.schedule.some(day => day.date === utcDate(3) && day.puzzle_id === later.id));
+
+  assert.strictEqual((await server.request('DELETE', `/api/daily/${utcDate(3)}`, { token: admin })).status, 200);
+  const player = await server.register();
+  assert.strictEqual((await server.request('GET', '/api/daily/schedule', { token: player.token })).status, 403);
+});
+
+test('only puzzles published by the start of the day can be queued', async () => {
+  const schedule = (date, puzzleId) => server.request('PUT', `/api/daily/${date}`, { token: admin, body: { puzzleId } });
+  const publishing = (offsetDays) => ({ status: 'scheduled', publishAt: new Date(Date.now() + offsetDays * DAY_MS).toISOString() });
+  const draft = await server.createPuzzle(admin, { name: 'Daily draft', status: 'draft' });
+  const soon = await server.createPuzzle(admin, Object.assign({ name: 'Daily soon' }, publishing(1)));
+  const eventually = await server.createPuzzle(admin, Object.assign({ name: 'Daily eventually' }, publishing(10)));
+
+  assert.strictEqual((await schedule(utcDate(4), draft.id)).status, 400);
+  assert.strictEqual((await schedule(utcDate(4), eventually.id)).status, 400);
+  assert.strictEqual((await schedule(utcDate(4), soon.id)).status, 200);
+  await server.request('DELETE', `/api/daily/${utcDate(4)}`, { token: admin });
+});
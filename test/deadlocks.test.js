@@ -0,0 +1,46 @@
+// Dead squares and deadlock detection used by the game board
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SokobanDeadlocks = require('../shared/deadlocks');
+const SokobanRules = require('../shared/sokoban-rules');
+
+const deadlocks = (rows) =>
+  SokobanDeadlocks.findDeadlocks(SokobanRules.parseLevel(rows)).map(({ row, col, type }) => [row, col, type]);
+
+test('dead squares are the floor a box can never be pulled to from a goal', () => {
+  const dead = SokobanDeadlocks.computeDeadSquares(SokobanRules.parseLevel([
+    '######',
+    '#@   #',
+    '#  . #',
+    '######'
+  ]));
+  assert.deepStrictEqual(Array.from(dead).sort(), ['1,1', '1,2', '1,3', '1,4', '2,1', '2,4']);
+});
+
+test('a box in a corner off goal is a corner deadlock', () => {
+  assert.deepStrictEqual(deadlocks(['#####', '#$ @#', '#  .#', '#####']), [[1, 1, 'corner']]);
+});
+
+test('a box along a wall with no goal on it is a wall deadlock', () => {
+  assert.deepStrictEqual(deadlocks(['######', '# $ @#', '#   .#', '######']), [[1, 2, 'wall']]);
+});
+
+test('boxes on goals are never deadlocked', () => {
+  assert.deepStrictEqual(deadlocks(['#####', '#* @#', '#####']), []);
+});
+
+test('a 2x2 block of boxes and walls freezes the boxes off goal', () => {
+  assert.deepStrictEqual(deadlocks([
+    '#######',
+    '#     #',
+    '# $$  #',
+    '# $$ @#',
+    '# ....#',
+    '#     #',
+    '#######'
+  ]), [[2, 2, 'freeze'], [2, 3, 'freeze'], [3, 2, 'freeze'], [3, 3, 'freeze']]);
+});
+
+test('a box that can still reach a goal is fine', () => {
+  assert.deepStrictEqual(deadlocks(['######', '#    #', '#@$ .#', '#    #', '######']), []);
+});
@@ -0,0 +1,88 @@
+// Difficulty ratings: scoring, tiers, player results and sorting
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Difficulty = require('../lib/difficulty');
+const { LAYOUTS, startServer } = require('./helpers');
+
+test('scores map to tiers at 30, 50 and 70', () => {
+  assert.deepStrictEqual([0, 29.9, 30, 49.9, 50, 70, 100].map(Difficulty.tierFor),
+    ['easy', 'easy', 'medium', 'medium', 'hard', 'expert', 'expert']);
+});
+
+test('median handles odd, even and empty lists', () => {
+  assert.strictEqual(Difficulty.median([5, 1, 3]), 3);
+  assert.strictEqual(Difficulty.median([4, 1, 3, 2]), 2.5);
+  assert.strictEqual(Difficulty.median([]), null);
+});
+
+test('longer solutions score higher and a timed out search is at least hard', () => {
+  const short = Difficulty.structuralScore({ status: 'solved', moves: 3, pushes: 1, statesExplored: 2 }, 1);
+  const long = Difficulty.structuralScore({ status: 'solved', moves: 120, pushes: 40, statesExplored: 20000 }, 4);
+  assert.ok(long > short);
+  assert.strictEqual(Difficulty.structuralScore({ status: 'timed_out' }, 3), 85);
+});
+
+test('player results count for more as more players solve the puzzle', () => {
+  assert.deepStrictEqual(Difficulty.rate(40), { score: 40, tier: 'medium', playerWeight: 0, medianTime: null, unassistedRate: null });
+
+  const slow = { time: 600, unassisted: false };
+  const few = Difficulty.rate(20, [slow]);
+  const many = Difficulty.rate(20, new Array(40).fill(slow));
+  assert.strictEqual(few.playerWeight, 0.025);
+  assert.strictEqual(many.playerWeight, 0.5);
+  assert.ok(many.score > few.score && few.score > 20);
+  assert.strictEqual(many.unassistedRate, 0);
+});
+
+test('over the API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const admin = await server.login();
+  const rate = (puzzleId) => server.request('POST', `/api/puzzles/${puzzleId}/difficulty`, { token: admin });
+
+  const harder = {
+    width: 8,
+    height: 6,
+    grid: ['########', '#P     #', '# BBB  #', '#  ... #', '#      #', '########'].map(row => Array.from(row))
+  };
+  const easy = await server.createPuzzle(admin, { name: 'Rated easy', layout: LAYOUTS.SIMPLE });
+  const hard = await server.createPuzzle(admin, { name: 'Rated harder', layout: harder });
+  const { body: { collection } } = await server.request('POST', '/api/collections', {
+    token: admin,
+    body: { name: 'Rated', puzzleIds: [hard.id, easy.id] }
+  });
+
+  await t.test('admins can rate a puzzle right away and anyone can read the rating', async () => {
+    const rated = await rate(easy.id);
+    assert.strictEqual(rated.status, 200);
+    assert.strictEqual(rated.body.difficulty.tier, 'easy');
+    assert.strictEqual(rated.body.difficulty.solution_pushes, 1);
+    await rate(hard.id);
+
+    const { body } = await server.request('GET', `/api/puzzles/${easy.id}/difficulty`);
+    assert.strictEqual(body.difficulty.player_count, 0);
+  });
+
+  await t.test('accepted scores feed player results into the rating', async () => {
+    const player = await server.register();
+    await server.submitScore(player.token, hard.id, (await server.request('POST', `/api/puzzles/${hard.id}/solve`, { token: admin })).body.solver.solution);
+    await server.submitScore(player.token, easy.id, 'R');
+    // The refresh runs after the response is sent
+    for (let tries = 0; tries < 20; tries++) {
+      const { body } = await server.request('GET', `/api/puzzles/${easy.id}/difficulty`);
+      if (body.difficulty.player_count === 1) return;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.fail('player results were not added to the rating');
+  });
+
+  await t.test('the puzzle list sorts and filters by difficulty', async () => {
+    const list = async (query) => (await server.request('GET', `/api/puzzles?collection=${collection.id}&${query}`))
+      .body.puzzles.map(puzzle => puzzle.name);
+    assert.deepStrictEqual(await list('sort=difficulty'), ['Rated easy', 'Rated harder']);
+    assert.deepStrictEqual(await list('sort=-difficulty'), ['Rated harder', 'Rated easy']);
+    assert.deepStrictEqual(await list('tier=easy'), ['Rated easy']);
+    assert.deepStrictEqual(await list('tier=medium,hard'), ['Rated harder']);
+    assert.strictEqual((await server.request('GET', '/api/puzzles?tier=impossible')).status, 400);
+  });
+});
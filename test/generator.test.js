@@ -0,0 +1,62 @@
+// Procedural level generator
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Generator = require('../lib/generator');
+const LevelValidator = require('../shared/level-validator');
+const SokobanRules = require('../shared/sokoban-rules');
+const { startServer } = require('./helpers');
+
+const OPTIONS = { width: 7, height: 7, boxes: 2, difficulty: 'easy', seed: 42, timeLimitMs: 3000 };
+
+test('generated levels are valid and solved by their solution', () => {
+  const generated = Generator.generate(OPTIONS);
+  assert.ok(generated);
+  assert.strictEqual(generated.seed, 42);
+  assert.deepStrictEqual([generated.layout.width, generated.layout.height], [7, 7]);
+
+  const validation = LevelValidator.validateLayout(generated.layout);
+  assert.strictEqual(validation.valid, true);
+  assert.strictEqual(validation.stats.boxes, 2);
+
+  const { valid, state } = SokobanRules.replay(SokobanRules.parseLevel(generated.layout.grid), generated.solution);
+  assert.ok(valid);
+  assert.ok(SokobanRules.isSolved(state));
+  assert.strictEqual(generated.pushes, SokobanRules.countPushes(generated.solution));
+});
+
+test('the same seed gives the same level', () => {
+  assert.deepStrictEqual(Generator.generate(OPTIONS).layout, Generator.generate(OPTIONS).layout);
+});
+
+test('an unknown difficulty is refused', () => {
+  assert.throws(() => Generator.generate({ difficulty: 'extreme' }), /Unknown difficulty 'extreme'/);
+});
+
+test('over the API', async (t) => {
+  const server = await startServer({ GENERATOR_TIME_LIMIT_MS: '3000' });
+  t.after(() => server.stop());
+  const admin = await server.login();
+  const generate = (body, token = admin) => server.request('POST', '/api/puzzles/generate', { token, body });
+
+  await t.test('admins get a level they can save as a puzzle', async () => {
+    const { status, body } = await generate({ width: 7, height: 7, boxes: 2, difficulty: 'easy', seed: 7 });
+    assert.strictEqual(status, 200);
+    const saved = await server.request('POST', '/api/puzzles', {
+      token: admin,
+      body: { name: 'Generated', layout: body.layout, checkSolvable: true }
+    });
+    assert.strictEqual(saved.status, 201);
+  });
+
+  await t.test('settings out of range are refused', async () => {
+    assert.strictEqual((await generate({ width: 4 })).status, 400);
+    assert.strictEqual((await generate({ boxes: 7 })).status, 400);
+    assert.strictEqual((await generate({ difficulty: 'extreme' })).status, 400);
+    assert.strictEqual((await generate({ seed: 'abc' })).status, 400);
+  });
+
+  await t.test('players cannot generate levels', async () => {
+    const player = await server.register();
+    assert.strictEqual((await generate({}, player.token)).status, 403);
+  });
+});
@@ -0,0 +1,195 @@
+// Helpers for the tests. startServer runs index.js on a free port with a
+// fresh database in a temporary directory; call stop() when done.
+// pageFunction reads a function out of a page's inline script.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const SERVER_PATH = path.join(__dirname, '..', 'index.js');
+const START_TIMEOUT_MS = 20000;
+
+// Small layouts for test puzzles. SIMPLE is solved by 'R' and LONG by 'rRR'.
+const LAYOUTS = {
+  SIMPLE: {
+    width: 5,
+    height: 3,
+    grid: [
+      ['#', '#', '#', '#', '#'],
+      ['#', 'P', 'B', '.', '#'],
+      ['#', '#', '#', '#', '#']
+    ]
+  },
+  LONG: {
+    width: 7,
+    height: 3,
+    grid: [
+      ['#', '#', '#', '#', '#', '#', '#'],
+      ['#', 'P', ' ', 'B', ' ', '.', '#'],
+      ['#', '#', '#', '#', '#', '#', '#']
+    ]
+  }
+};
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// Source of a top-level function declaration in one of the HTML pages (their
+// scripts are inline), braces balanced
+function pageFunction(page, name) {
+  const html = fs.readFileSync(path.join(__dirname, '..', page), 'utf8');
+  const start = html.indexOf(`function ${name}(`);
+  if (start === -1) {
+    throw new Error(`${page} has no function ${name}`);
+  }
+  let depth = 0;
+  for (let i = html.indexOf('{', start); i < html.length; i++) {
+    if (html[i] === '{') depth++;
+    if (html[i] === '}' && --depth === 0) {
+      return html.slice(start, i + 1);
+    }
+  }
+  throw new Error(`Unbalanced function ${name} in ${page}`);
+}
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sokoban-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dir,
+    env: Object.assign({}, process.env, {
+      PORT: String(port),
+      RATE_LIMIT_MAX: '100000',
+      HINT_TIME_LIMIT_MS: '2000'
+    }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = (data) => {
+      output += data;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+  try {
+    await started;
+  } catch (error) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const url = `http://127.0.0.1:${port}`;
+
+  // Calls the API and returns { status, body, headers }. body is parsed JSON
+  // when the response is JSON and text otherwise.
+  const request = async (method, route, { token, body, headers = {} } = {}) => {
+    const init = { method, headers: Object.assign({}, headers) };
+    if (token) {
+      init.headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      if (typeof body === 'string') {
+        init.body = body;
+      } else {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+    }
+    const response = await fetch(url + route, init);
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await response.json()
+      : type.startsWith('image/png') ? Buffer.from(await response.arrayBuffer())
+        : await response.text();
+    return { status: response.status, body: data, headers: response.headers };
+  };
+
+  const login = async (username = 'admin', password = 'admin123') => {
+    const { body } = await request('POST', '/api/auth/login', { body: { username, password } });
+    return body.token;
+  };
+
+  let players = 0;
+  const register = async (username = `player${++players}`) => {
+    const { body } = await request('POST', '/api/auth/register', {
+      body: { username, email: `${username}@example.com`, password: 'secret123' }
+    });
+    return { token: body.token, user: body.user };
+  };
+
+  // Creates a puzzle as the given admin; published unless options say otherwise
+  const createPuzzle = async (token, options = {}) => {
+    const { status, body } = await request('POST', '/api/puzzles', {
+      token,
+      body: Object.assign({ name: 'Test puzzle', layout: LAYOUTS.SIMPLE, status: 'published' }, options)
+    });
+    if (status !== 201) {
+      throw new Error(`Creating puzzle failed (${status}): ${JSON.stringify(body)}`);
+    }
+    return body.puzzle;
+  };
+
+  const openAttempt = (token, puzzleId) => request('POST', '/api/attempts', { token, body: { puzzleId } });
+
+  // Saves a score for the attempt given in extra, or for a new one opened
+  // first. Without moveTimes in extra every move is timed at the start.
+  const submitScore = async (token, puzzleId, solution, extra = {}) => {
+    let { attemptId } = extra;
+    if (!attemptId) {
+      const attempt = await openAttempt(token, puzzleId);
+      if (attempt.status !== 201) {
+        return attempt;
+      }
+      attemptId = attempt.body.attempt.id;
+    }
+    return request('POST', '/api/scores', {
+      token,
+      body: Object.assign({ puzzleId, solution, moveTimes: Array.from(String(solution), () => 0) }, extra, { attemptId })
+    });
+  };
+
+  // Runs a query against the server's database and returns its rows. Tests
+  // use it to check stored rows and to set up days and times they can't wait for.
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(path.join(dir, 'sokoban.db'), sqlite3.OPEN_READWRITE, (err) => {
+      if (err) return reject(err);
+      db.all(sql, params, (error, rows) => db.close(() => (error ? reject(error) : resolve(rows))));
+    });
+  });
+
+  const stop = () => new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.once('exit', () => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      resolve();
+    });
+    child.kill();
+  });
+
+  return { url, dir, request, login, register, createPuzzle, openAttempt, submitScore, query, stop, output: () => output };
+}
+
+module.exports = {
+  LAYOUTS,
+  pageFunction,
+  startServer
+};
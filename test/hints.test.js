@@ -0,0 +1,92 @@
+// Solver-backed hints and hinted runs on leaderboards
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { LAYOUTS, startServer } = require('./helpers');
+
+let server;
+let admin;
+let puzzle;
+let player;
+let attemptId;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  puzzle = await server.createPuzzle(admin, { layout: LAYOUTS.LONG });
+  player = await server.register();
+  attemptId = (await server.openAttempt(player.token, puzzle.id)).body.attempt.id;
+});
+
+after(() => server.stop());
+
+// Asks for a hint during the given player's attempt, by default the one opened above
+const hint = (body, token = player.token, attempt = attemptId) =>
+  server.request('POST', `/api/puzzles/${puzzle.id}/hint`, { token, body: Object.assign({ attemptId: attempt }, body) });
+
+test('a hint gives the next moves of a solution from the current position', async () => {
+  const { status, body } = await hint({ moves: 'r', count: 1 });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body, { status: 'ok', moves: 'R', remainingMoves: 2, remainingPushes: 2 });
+});
+
+test('the position can be sent as a grid instead of moves', async () => {
+  const grid = [
+    ['#', '#', '#', '#', '#', '#', '#'],
+    ['#', ' ', ' ', 'P', 'B', '.', '#'],
+    ['#', '#', '#', '#', '#', '#', '#']
+  ];
+  const { body } = await hint({ grid });
+  assert.strictEqual(body.moves, 'R');
+});
+
+test('a solved position needs no hint and a frozen one has none', async () => {
+  assert.deepStrictEqual((await hint({ moves: 'rRR' })).body, { status: 'solved', moves: '' });
+
+  const grid = [
+    ['#', '#', '#', '#', '#', '#', '#'],
+    ['#', 'B', ' ', 'P', ' ', '.', '#'],
+    ['#', '#', '#', '#', '#', '#', '#']
+  ];
+  const frozen = await hint({ grid });
+  assert.strictEqual(frozen.status, 200);
+  assert.strictEqual(frozen.body.status, 'unsolvable');
+});
+
+test('illegal moves and grids of another puzzle are rejected', async () => {
+  assert.strictEqual((await hint({ moves: 'l' })).status, 400);
+  const { status, body } = await hint({ grid: LAYOUTS.SIMPLE.grid });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /does not match/);
+});
+
+test('hints need a logged-in player with an open attempt on the puzzle', async () => {
+  assert.strictEqual((await server.request('POST', `/api/puzzles/${puzzle.id}/hint`, { body: { moves: '' } })).status, 401);
+  assert.strictEqual((await hint({ attemptId: undefined })).status, 400);
+
+  const other = await server.register();
+  const otherAttempt = (await server.openAttempt(other.token, puzzle.id)).body.attempt.id;
+  assert.strictEqual((await hint({}, player.token, otherAttempt)).status, 409);
+  await server.request('POST', `/api/attempts/${otherAttempt}/close`, { token: other.token, body: { result: 'abandoned' } });
+  assert.strictEqual((await hint({}, other.token, otherAttempt)).status, 409);
+});
+
+test('a run after a hint is flagged and can be filtered on the leaderboard', async () => {
+  const hinted = await server.register('hinted');
+  const clean = await server.register('clean');
+  const attempt = (await server.openAttempt(hinted.token, puzzle.id)).body.attempt.id;
+  await hint({ moves: '' }, hinted.token, attempt);
+  await hint({ moves: 'r' }, hinted.token, attempt);
+
+  const score = await server.submitScore(hinted.token, puzzle.id, 'rRR', { attemptId: attempt });
+  assert.strictEqual(score.body.score.hints_used, 2);
+  assert.strictEqual((await server.submitScore(clean.token, puzzle.id, 'rRR')).body.score.hints_used, 0);
+
+  const board = (runs) => server.request('GET', `/api/scores/leaderboard/${puzzle.id}?runs=${runs}`)
+    .then(({ body }) => body.leaderboard.map(entry => [entry.username, entry.hinted]));
+  assert.deepStrictEqual(await board('all'), [['hinted', true], ['clean', false]]);
+  assert.deepStrictEqual(await board('clean'), [['clean', false]]);
+  assert.deepStrictEqual(await board('hinted'), [['hinted', true]]);
+
+  // Hints only count towards the attempt they were given in
+  assert.strictEqual((await server.submitScore(hinted.token, puzzle.id, 'rRR')).body.score.hints_used, 0);
+});
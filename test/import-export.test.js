@@ -0,0 +1,121 @@
+// Level pack import and XSB export over the API, and deleting puzzles
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const XSB_PACK = `Title: Tiny Pack
+Author: Someone
+
+; First
+#####
+#@$.#
+#####
+
+; Second
+######
+#@ $.#
+######
+`;
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+const importPack = (content, query = '', headers = { 'Content-Type': 'text/plain' }) =>
+  server.request('POST', `/api/puzzles/import${query}`, { token: admin, body: content, headers });
+
+test('an XSB pack sent as text becomes a collection of its levels in file order', async () => {
+  const { status, body } = await importPack(XSB_PACK, '?status=published');
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.format, 'xsb');
+  assert.strictEqual(body.collection.name, 'Tiny Pack');
+  assert.deepStrictEqual(body.puzzles.map(puzzle => [puzzle.name, puzzle.author]), [
+    ['First', 'Someone'],
+    ['Second', 'Someone']
+  ]);
+
+  const collection = await server.request('GET', `/api/collections/${body.collection.id}`);
+  assert.deepStrictEqual(collection.body.puzzles.map(puzzle => puzzle.name), ['First', 'Second']);
+});
+
+test('an SLC pack can be sent as JSON', async () => {
+  const content = '<SokobanLevels><Title>Xml</Title><LevelCollection><Level Id="Only"><L>#####</L><L>#@$.#</L><L>#####</L></Level></LevelCollection></SokobanLevels>';
+  const { status, body } = await server.request('POST', '/api/puzzles/import', { token: admin, body: { content } });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.format, 'slc');
+  assert.deepStrictEqual(body.puzzles.map(puzzle => puzzle.name), ['Only']);
+});
+
+test('a pack with an invalid level is refused and nothing is created', async () => {
+  const before = await server.query('SELECT COUNT(*) as count FROM puzzles');
+  const { status, body } = await importPack(`${XSB_PACK}\n; Broken\n#####\n# $.#\n#####\n`);
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.errors.map(error => [error.index, error.name]), [[2, 'Broken']]);
+  assert.deepStrictEqual(await server.query('SELECT COUNT(*) as count FROM puzzles'), before);
+});
+
+test('importing needs content and an admin', async () => {
+  assert.strictEqual((await importPack('   ')).status, 400);
+  const player = await server.register();
+  const { status } = await server.request('POST', '/api/puzzles/import', {
+    token: player.token,
+    body: XSB_PACK,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+  assert.strictEqual(status, 403);
+});
+
+test('a puzzle exports as an XSB download that imports back unchanged', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Round trip' });
+  const exported = await server.request('GET', `/api/puzzles/${puzzle.id}/export`);
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /Round_trip\.xsb/);
+  assert.strictEqual(exported.body, '#####\n#@$.#\n#####\nTitle: Round trip\nAuthor: admin\n');
+
+  const reimported = await importPack(exported.body);
+  assert.strictEqual(reimported.status, 201);
+  assert.deepStrictEqual(reimported.body.puzzles.map(entry => entry.name), ['Round trip']);
+});
+
+test('the full export only has published puzzles', async () => {
+  await server.createPuzzle(admin, { name: 'Hidden draft', status: 'draft' });
+  const { status, body } = await server.request('GET', '/api/puzzles/export');
+  assert.strictEqual(status, 200);
+  assert.match(body, /Title: Round trip/);
+  assert.doesNotMatch(body, /Hidden draft/);
+});
+
+test('deleting a puzzle removes the rows that belong to it', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const player = await server.register();
+  assert.strictEqual((await server.submitScore(player.token, puzzle.id, 'R')).status, 201);
+  const attempt = await server.openAttempt(player.token, puzzle.id);
+  await server.request('POST', `/api/puzzles/${puzzle.id}/hint`, {
+    token: player.token,
+    body: { moves: '', attemptId: attempt.body.attempt.id }
+  });
+  await server.request('PUT', `/api/puzzles/${puzzle.id}/review`, { token: player.token, body: { rating: 4 } });
+  await server.request('PUT', '/api/daily/2999-01-01', { token: admin, body: { puzzleId: puzzle.id } });
+  await server.request('PUT', '/api/collections/1', { token: admin, body: { puzzleIds: [puzzle.id] } });
+
+  const tables = ['collection_puzzles', 'puzzle_revisions', 'puzzle_reviews', 'daily_puzzles', 'hint_requests', 'play_attempts', 'scores'];
+  const countRows = async (table) =>
+    (await server.query(`SELECT COUNT(*) as count FROM ${table} WHERE puzzle_id = ?`, [puzzle.id]))[0].count;
+  for (const table of tables) {
+    assert.ok(await countRows(table) > 0, `${table} has no rows to clean up`);
+  }
+
+  const { status } = await server.request('DELETE', `/api/puzzles/${puzzle.id}`, { token: admin });
+  assert.strictEqual(status, 200);
+
+  for (const table of [...tables, 'puzzle_difficulty']) {
+    assert.strictEqual(await countRows(table), 0, `${table} still has rows for the deleted puzzle`);
+  }
+  assert.strictEqual((await server.request('GET', `/api/puzzles/${puzzle.id}`)).status, 404);
+});
@@ -0,0 +1,120 @@
+// Leaderboards: per-puzzle sort orders, best runs, time windows and paging
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { LAYOUTS, startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+test('a puzzle leaderboard can be sorted by time, moves or pushes', async () => {
+  const puzzle = await server.createPuzzle(admin, { layout: LAYOUTS.LONG });
+  const quick = await server.register('quick');
+  const careful = await server.register('careful');
+
+  // quick wanders but finishes at once; careful takes the shortest path slowly
+  assert.strictEqual((await server.submitScore(quick.token, puzzle.id, 'rlrRR')).status, 201);
+  const attempt = await server.request('POST', '/api/attempts', { token: careful.token, body: { puzzleId: puzzle.id } });
+  await sleep(1100);
+  const saved = await server.request('POST', '/api/scores', {
+    token: careful.token,
+    body: { puzzleId: puzzle.id, attemptId: attempt.body.attempt.id, solution: 'rRR', moveTimes: [400, 800, 1100] }
+  });
+  assert.strictEqual(saved.status, 201);
+
+  const byTime = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}`);
+  assert.strictEqual(byTime.body.sort, 'time');
+  assert.deepStrictEqual(byTime.body.leaderboard.map(entry => entry.username), ['quick', 'careful']);
+
+  const byMoves = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}?sort=moves`);
+  assert.deepStrictEqual(byMoves.body.leaderboard.map(entry => [entry.username, entry.moves, entry.pushes]),
+    [['careful', 3, 2], ['quick', 5, 2]]);
+
+  // Equal pushes fall back to moves
+  const byPushes = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}?sort=pushes`);
+  assert.deepStrictEqual(byPushes.body.leaderboard.map(entry => entry.username), ['careful', 'quick']);
+});
+
+test('an unknown sort is rejected', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const { status, body } = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}?sort=speed`);
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Invalid sort/);
+});
+
+// Saves a run and sets its time, since real runs all finish within a second
+const timedScore = async (player, puzzleId, seconds, fields = {}) => {
+  const { body } = await server.submitScore(player.token, puzzleId, 'R');
+  const columns = Object.assign({ time_taken: seconds }, fields);
+  await server.query(`UPDATE scores SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(columns), body.score.id]);
+  return body.score;
+};
+
+test('each player appears once, with their best run', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const repeat = await server.register('repeat');
+  await timedScore(repeat, puzzle.id, 30);
+  await timedScore(repeat, puzzle.id, 10);
+  await timedScore(repeat, puzzle.id, 20);
+
+  const { body } = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}`);
+  assert.deepStrictEqual(body.leaderboard.map(entry => [entry.username, entry.time_taken]), [['repeat', 10]]);
+});
+
+test('weekly and monthly boards only count runs since the week or month began', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const veteran = await server.register('veteran');
+  const recent = await server.register('recent');
+  await timedScore(veteran, puzzle.id, 5, { completed_at: '2000-01-03 12:00:00' });
+  await timedScore(recent, puzzle.id, 50);
+
+  const board = async (query) => (await server.request('GET', `/api/scores/leaderboard/${puzzle.id}?${query}`)).body;
+  assert.deepStrictEqual((await board('window=all')).leaderboard.map(entry => entry.username), ['veteran', 'recent']);
+  for (const window of ['week', 'month']) {
+    const { leaderboard, window_start: start } = await board(`window=${window}`);
+    assert.deepStrictEqual(leaderboard.map(entry => entry.username), ['recent']);
+    assert.ok(new Date(`${start.replace(' ', 'T')}Z`) <= new Date());
+  }
+  assert.strictEqual(new Date(`${(await board('window=week')).window_start.replace(' ', 'T')}Z`).getUTCDay(), 1);
+  assert.strictEqual((await board('window=month')).window_start.slice(8), '01 00:00:00');
+
+  const overall = await server.request('GET', '/api/scores/leaderboard?window=week');
+  assert.ok(!overall.body.leaderboard.some(entry => entry.username === 'veteran'));
+});
+
+test('boards are paged and show the requesting player\'s rank with their neighbours', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const players = [];
+  for (let i = 1; i <= 6; i++) {
+    const player = await server.register(`paged${i}`);
+    // The third player used a hint
+    await timedScore(player, puzzle.id, i, { hints_used: i === 3 ? 1 : 0 });
+    players.push(player);
+  }
+
+  const page = (query, token) => server.request('GET', `/api/scores/leaderboard/${puzzle.id}?${query}`, { token });
+  const { body } = await page('limit=2&offset=2', players[4].token);
+  assert.strictEqual(body.total, 6);
+  assert.deepStrictEqual(body.leaderboard.map(entry => [entry.rank, entry.username]), [[3, 'paged3'], [4, 'paged4']]);
+  assert.strictEqual(body.me.rank, 5);
+  assert.deepStrictEqual(body.me.neighbours.map(entry => entry.rank), [3, 4, 5, 6]);
+
+  // The same run in the page and among the neighbours is marked hinted in both
+  assert.strictEqual(body.leaderboard[0].hinted, true);
+  assert.strictEqual(body.me.neighbours[0].hinted, true);
+  assert.strictEqual(body.leaderboard[1].hinted, false);
+
+  assert.strictEqual((await page('limit=2')).body.me, null);
+
+  for (const query of ['limit=0', 'limit=101', 'offset=-1', 'offset=1.5', 'window=year']) {
+    assert.strictEqual((await page(query)).status, 400, query);
+  }
+});
@@ -0,0 +1,76 @@
+// XSB and SLC level pack parsing and XSB export
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LevelFormats = require('../lib/level-formats');
+const SokobanRules = require('../shared/sokoban-rules');
+
+const XSB_PACK = `Title: Tiny Pack
+Author: Someone
+
+; First
+#####
+#@$.#
+#####
+
+#######
+#@ $ .#
+#######
+Title: Second
+Author: Else
+`;
+
+const SLC_PACK = `<?xml version="1.0" encoding="utf-8"?>
+<SokobanLevels>
+  <Title>Slc &amp; Co</Title>
+  <LevelCollection Copyright="Pack Author">
+    <Level Id="One" Width="5" Height="3">
+      <L>#####</L>
+      <L>#@$.#</L>
+      <L>#####</L>
+    </Level>
+    <Level Id="Two" Copyright="Level Author" Width="5" Height="3">
+      <L>#####</L>
+      <L>#.$@#</L>
+      <L>#####</L>
+    </Level>
+  </LevelCollection>
+</SokobanLevels>`;
+
+test('parseXsb reads the pack header, comment names and per-level metadata', () => {
+  const pack = LevelFormats.parseLevelPack(XSB_PACK);
+  assert.strictEqual(pack.format, 'xsb');
+  assert.strictEqual(pack.title, 'Tiny Pack');
+  assert.strictEqual(pack.author, 'Someone');
+  assert.deepStrictEqual(pack.levels.map(level => [level.title, level.author]), [
+    ['First', 'Someone'],
+    ['Second', 'Else']
+  ]);
+  assert.deepStrictEqual(pack.levels[0].rows, ['#####', '#@$.#', '#####']);
+});
+
+test('parseSlc reads titles, copyright attributes and decodes entities', () => {
+  const pack = LevelFormats.parseLevelPack(SLC_PACK);
+  assert.strictEqual(pack.format, 'slc');
+  assert.strictEqual(pack.title, 'Slc & Co');
+  assert.deepStrictEqual(pack.levels.map(level => [level.title, level.author]), [
+    ['One', 'Pack Author'],
+    ['Two', 'Level Author']
+  ]);
+  assert.deepStrictEqual(pack.levels[1].rows, ['#####', '#.$@#', '#####']);
+});
+
+test('parseLevelPack rejects unknown formats', () => {
+  assert.throws(() => LevelFormats.parseLevelPack(XSB_PACK, 'sok'), /Unsupported level pack format 'sok'/);
+});
+
+test('toXsb output parses back to the same levels', () => {
+  const puzzles = [
+    { name: 'A', author: 'Me', level: SokobanRules.parseLevel('#####\n#@$.#\n#####') },
+    { name: 'B', author: null, level: SokobanRules.parseLevel('######\n#+$  #\n######') }
+  ];
+  const pack = LevelFormats.parseXsb(LevelFormats.toXsb(puzzles));
+  assert.deepStrictEqual(pack.levels.map(level => [level.title, level.author, level.rows.join('\n')]), [
+    ['A', 'Me', '#####\n#@$.#\n#####'],
+    ['B', null, '######\n#+$  #\n######']
+  ]);
+});
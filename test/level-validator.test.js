@@ -0,0 +1,72 @@
+// Structural layout validation, on its own and when creating puzzles
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LevelValidator = require('../shared/level-validator');
+const { LAYOUTS, startServer } = require('./helpers');
+
+const codes = (result) => result.errors.map(entry => entry.code);
+
+test('a well-formed grid is valid and reports its size', () => {
+  const result = LevelValidator.validateGrid(['#####', '#@$.#', '#####']);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.stats, { width: 5, height: 3, boxes: 1, goals: 1 });
+});
+
+test('unknown tiles and extra players are reported with their position', () => {
+  const result = LevelValidator.validateGrid(['######', '#@$.x#', '#P   #', '######']);
+  assert.deepStrictEqual(result.errors.filter(entry => entry.row !== undefined).map(entry => [entry.code, entry.row, entry.col]), [
+    ['unknown-tile', 1, 4],
+    ['extra-player', 2, 1]
+  ]);
+});
+
+test('missing players, missing boxes and box/goal mismatches are reported', () => {
+  assert.deepStrictEqual(codes(LevelValidator.validateGrid(['#####', '# $.#', '#####'])), ['no-player']);
+  assert.deepStrictEqual(codes(LevelValidator.validateGrid(['####', '#@.#', '####'])), ['no-boxes', 'box-goal-mismatch']);
+  assert.deepStrictEqual(codes(LevelValidator.validateGrid(['######', '#@$..#', '######'])), ['box-goal-mismatch']);
+});
+
+test('a level the player can walk out of is not enclosed', () => {
+  const result = LevelValidator.validateGrid(['#####', '#@$. ', '#####']);
+  assert.deepStrictEqual(codes(result), ['not-enclosed']);
+  assert.deepStrictEqual([result.errors[0].row, result.errors[0].col], [1, 4]);
+});
+
+test('boxes and goals walled off from the player are unreachable', () => {
+  const result = LevelValidator.validateGrid(['#######', '#@ #$.#', '#######']);
+  assert.deepStrictEqual(codes(result), ['unreachable-box', 'unreachable-goal']);
+});
+
+test('validateLayout takes an object or a JSON string', () => {
+  assert.strictEqual(LevelValidator.validateLayout(LAYOUTS.SIMPLE).valid, true);
+  assert.strictEqual(LevelValidator.validateLayout(JSON.stringify(LAYOUTS.SIMPLE)).valid, true);
+  assert.deepStrictEqual(codes(LevelValidator.validateLayout('{nope')), ['invalid-json']);
+  assert.deepStrictEqual(codes(LevelValidator.validateLayout({ width: 3 })), ['no-grid']);
+});
+
+test('creating puzzles over the API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const admin = await server.login();
+
+  await t.test('object and string layouts are both stored as JSON strings', async () => {
+    for (const layout of [LAYOUTS.SIMPLE, JSON.stringify(LAYOUTS.SIMPLE)]) {
+      const { status, body } = await server.request('POST', '/api/puzzles', { token: admin, body: { name: 'Stored', layout } });
+      assert.strictEqual(status, 201);
+      assert.deepStrictEqual(JSON.parse(body.puzzle.layout), LAYOUTS.SIMPLE);
+    }
+  });
+
+  await t.test('an invalid layout is refused with positioned errors', async () => {
+    const layout = { grid: [['#', '#', '#'], ['#', 'P', 'X'], ['#', '#', '#']] };
+    const { status, body } = await server.request('POST', '/api/puzzles', { token: admin, body: { name: 'Bad', layout } });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.errors[0], { code: 'unknown-tile', message: "Unknown tile 'X' at row 2, column 3", row: 1, col: 2 });
+  });
+
+  await t.test('players are refused before their layout is looked at', async () => {
+    const player = await server.register();
+    const { status } = await server.request('POST', '/api/puzzles', { token: player.token, body: { name: 'Bad', layout: '{nope' } });
+    assert.strictEqual(status, 403);
+  });
+});
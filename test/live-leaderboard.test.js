@@ -0,0 +1,120 @@
+// Live leaderboard updates over Socket.IO
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { io } = require('socket.io-client');
+const { startServer } = require('./helpers');
+
+const EVENT_TIMEOUT_MS = 5000;
+
+let server;
+let admin;
+let client;
+const updates = [];
+const waiting = [];
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  client = io(server.url, { transports: ['websocket'] });
+  client.on('leaderboard-update', (update) => {
+    updates.push(update);
+    waiting.splice(0).forEach(resolve => resolve());
+  });
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('connect_error', reject);
+  });
+});
+
+after(() => {
+  client.close();
+  return server.stop();
+});
+
+// The next update for the given scope, in the order they were sent
+const nextUpdate = async (scope) => {
+  const deadline = Date.now() + EVENT_TIMEOUT_MS;
+  for (;;) {
+    const index = updates.findIndex(update => update.scope === scope);
+    if (index !== -1) {
+      return updates.splice(index, 1)[0];
+    }
+    assert.ok(Date.now() < deadline, `no ${scope} leaderboard update arrived`);
+    await new Promise(resolve => {
+      waiting.push(resolve);
+      setTimeout(resolve, 100);
+    });
+  }
+};
+
+// Subscriptions are not acknowledged, so give the server a moment to join the
+// room before scores are sent over HTTP
+const subscribe = async (event, data) => {
+  client.emit(event, data);
+  await sleep(100);
+};
+
+const setTime = (scoreId, seconds) => server.query('UPDATE scores SET time_taken = ? WHERE id = ?', [seconds, scoreId]);
+
+test('subscribers hear about new records, rank changes and personal bests', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Live' });
+  await subscribe('subscribe-leaderboard', { puzzleId: puzzle.id });
+  await subscribe('subscribe-leaderboard', { global: true });
+  const [first, second, third] = [await server.register('first'), await server.register('second'), await server.register('third')];
+
+  const opening = await server.submitScore(first.token, puzzle.id, 'R');
+  const record = await nextUpdate('puzzle');
+  assert.deepStrictEqual([record.type, record.puzzleName, record.rank, record.previousRank, record.total], ['new-record', 'Live', 1, null, 1]);
+  assert.deepStrictEqual([record.entry.username, record.entry.id, record.entry.hinted], ['first', opening.body.score.id, false]);
+
+  const overall = await nextUpdate('global');
+  assert.strictEqual(overall.type, 'new-record');
+  assert.strictEqual(overall.entry.username, 'first');
+  assert.strictEqual(overall.entry.puzzles_completed, 1);
+  assert.deepStrictEqual([overall.puzzle.type, overall.puzzle.rank], ['new-record', 1]);
+
+  // With first's run slowed down, second takes the record and third, tied
+  // with second but later, comes in second place
+  await setTime(opening.body.score.id, 100);
+  await server.submitScore(second.token, puzzle.id, 'R');
+  assert.strictEqual((await nextUpdate('puzzle')).type, 'new-record');
+  const joined = await server.submitScore(third.token, puzzle.id, 'R');
+  const changed = await nextUpdate('puzzle');
+  assert.deepStrictEqual([changed.type, changed.entry.username, changed.rank, changed.previousRank, changed.total],
+    ['rank-changed', 'third', 2, null, 3]);
+
+  // A faster run that keeps third in second place is a personal best
+  await setTime(joined.body.score.id, 50);
+  await server.submitScore(third.token, puzzle.id, 'R');
+  const improved = await nextUpdate('puzzle');
+  assert.deepStrictEqual([improved.type, improved.rank, improved.previousRank, improved.entry.time_taken], ['personal-best', 2, 2, 0]);
+});
+
+test('runs that are not a player\'s best send nothing', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  await subscribe('subscribe-leaderboard', { puzzleId: puzzle.id });
+  const player = await server.register('steady');
+  const other = await server.register('other');
+
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await nextUpdate('puzzle');
+  // Equal to the first run, which stays the best
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await server.submitScore(other.token, puzzle.id, 'R');
+  assert.strictEqual((await nextUpdate('puzzle')).entry.username, 'other');
+});
+
+test('unsubscribed clients stop getting a puzzle\'s updates', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  await subscribe('subscribe-leaderboard', { puzzleId: puzzle.id });
+  await subscribe('unsubscribe-leaderboard', { puzzleId: puzzle.id });
+  const player = await server.register();
+  updates.splice(0);
+
+  await server.submitScore(player.token, puzzle.id, 'R');
+  // Still subscribed to the overall board, which hears of the same run
+  const overall = await nextUpdate('global');
+  assert.strictEqual(overall.puzzleId, puzzle.id);
+  assert.ok(!updates.some(update => update.scope === 'puzzle'));
+});
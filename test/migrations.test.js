@@ -0,0 +1,77 @@
+// Schema migration runner
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Migrations = require('../lib/migrations');
+const { startServer } = require('./helpers');
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(db)));
+});
+
+// A migrations directory holding the given { 'NNN_name.js': source } files
+const migrationsDir = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sokoban-migrations-'));
+  Object.entries(files).forEach(([file, source]) => fs.writeFileSync(path.join(dir, file), source));
+  return dir;
+};
+
+test('the repository migrations apply in order to an empty database, once', async () => {
+  const db = await openDatabase();
+  const helpers = Migrations.createHelpers(db);
+  const applied = await Migrations.migrate(db);
+  const versions = applied.map(({ version }) => version);
+  assert.deepStrictEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.deepStrictEqual(versions, Migrations.loadMigrations().map(({ version }) => version));
+
+  const status = await Migrations.status(db);
+  assert.ok(status.every(migration => migration.applied && migration.appliedAt));
+  assert.deepStrictEqual(await Migrations.migrate(db), []);
+  assert.ok(await helpers.hasColumn('puzzles', 'status'));
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+  const dir = migrationsDir({
+    '001_first.js': "exports.up = (db) => db.run('CREATE TABLE first (id INTEGER)');",
+    '002_broken.js': "exports.up = async (db) => { await db.run('CREATE TABLE second (id INTEGER)'); throw new Error('boom'); };",
+    '003_never.js': "exports.up = (db) => db.run('CREATE TABLE third (id INTEGER)');"
+  });
+  const db = await openDatabase();
+  const helpers = Migrations.createHelpers(db);
+
+  await assert.rejects(Migrations.migrate(db, { dir }), /Migration 2_broken failed: boom/);
+  const tables = (await helpers.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'schema_migrations'"))
+    .map(({ name }) => name);
+  assert.deepStrictEqual(tables, ['first']);
+  assert.deepStrictEqual((await Migrations.status(db, dir)).map(({ version, applied }) => [version, applied]),
+    [[1, true], [2, false], [3, false]]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('duplicate versions and migrations without up() are refused', () => {
+  const duplicate = migrationsDir({
+    '001_a.js': 'exports.up = async () => {};',
+    '01_b.js': 'exports.up = async () => {};'
+  });
+  assert.throws(() => Migrations.loadMigrations(duplicate), /Duplicate migration version 1/);
+
+  const missing = migrationsDir({ '001_a.js': 'exports.down = async () => {};', 'notes.txt': '' });
+  assert.throws(() => Migrations.loadMigrations(missing), /1_a does not export up\(\)/);
+  [duplicate, missing].forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('addColumn leaves columns that already exist alone', async () => {
+  const db = await openDatabase();
+  const helpers = Migrations.createHelpers(db);
+  await helpers.run('CREATE TABLE legacy (id INTEGER, note TEXT)');
+  await helpers.addColumn('legacy', 'note TEXT');
+  await helpers.addColumn('legacy', 'extra INTEGER DEFAULT 0');
+  assert.deepStrictEqual((await helpers.all('PRAGMA table_info(legacy)')).map(({ name }) => name), ['id', 'note', 'extra']);
+});
+
+test('with AUTO_MIGRATE=false the server refuses to start on a database with pending migrations', async () => {
+  await assert.rejects(startServer({ AUTO_MIGRATE: 'false' }), /pending migration\(s\).*Run npm run migrate/s);
+});
@@ -0,0 +1,91 @@
+// Preview images of puzzles as SVG and PNG
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const Preview = require('../lib/preview');
+const { LAYOUTS, startServer } = require('./helpers');
+
+// The top left cell lies outside the walls
+const NOTCHED = [' #####', '##@$.#', '######'];
+
+// Width, height and RGBA pixel rows of a PNG written by renderPng (one IDAT
+// chunk, no scanline filters)
+const decodePng = (png) => {
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const idat = png.indexOf('IDAT');
+  const raw = zlib.inflateSync(png.subarray(idat + 4, idat + 4 + png.readUInt32BE(idat - 4)));
+  const pixel = (x, y) => [...raw.subarray(y * (width * 4 + 1) + 1 + x * 4, y * (width * 4 + 1) + 1 + x * 4 + 4)];
+  return { width, height, pixel };
+};
+
+test('images are the grid size times the cell size', () => {
+  assert.deepStrictEqual(Preview.imageSize(NOTCHED.map(row => Array.from(row)), 10), { width: 60, height: 30 });
+});
+
+test('the SVG places each tile of the level and nothing outside it', () => {
+  const svg = Preview.renderSvg(NOTCHED, 10);
+  assert.match(svg, /^<svg [^>]*width="60" height="30"/);
+  assert.strictEqual((svg.match(/<use href="#wall"/g) || []).length, 14);
+  assert.strictEqual((svg.match(/<use href="#player" x="20" y="10"/g) || []).length, 1);
+  assert.strictEqual((svg.match(/<use href="#box" x="30" y="10"/g) || []).length, 1);
+  assert.doesNotMatch(svg, /<use href="#\w+" x="0" y="0"/);
+});
+
+test('the PNG is transparent outside the walls and opaque inside', () => {
+  const { width, height, pixel } = decodePng(Preview.renderPng(NOTCHED, 8));
+  assert.deepStrictEqual([width, height], [48, 24]);
+  assert.strictEqual(pixel(2, 2)[3], 0);
+  assert.deepStrictEqual(pixel(10, 2), [0x8b, 0x45, 0x13, 255]);
+  // Between the arms of the cross on the box it is crate yellow
+  assert.deepStrictEqual(pixel(27, 9), [0xff, 0xc1, 0x07, 255]);
+});
+
+test('over the API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const admin = await server.login();
+  const puzzle = await server.createPuzzle(admin);
+  const preview = (query = '', token, format = 'svg') =>
+    server.request('GET', `/api/puzzles/${puzzle.id}/preview.${format}${query}`, { token });
+
+  await t.test('previews are served as SVG or PNG and cached while published', async () => {
+    const svg = await preview();
+    assert.strictEqual(svg.status, 200);
+    assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.match(svg.headers.get('cache-control'), /public/);
+    assert.match(svg.body, /width="160" height="96"/);
+
+    const png = await preview('?cell=4', undefined, 'png');
+    assert.strictEqual(png.status, 200);
+    assert.deepStrictEqual([decodePng(png.body).width, decodePng(png.body).height], [20, 12]);
+  });
+
+  await t.test('moves show the board after playing them', async () => {
+    assert.match((await preview('?moves=R')).body, /href="#boxOnGoal"/);
+    assert.strictEqual((await preview('?moves=U')).status, 400);
+  });
+
+  await t.test('cell sizes and image sizes are limited', async () => {
+    for (const cell of ['3', '65', '8.5', 'big']) {
+      assert.strictEqual((await preview(`?cell=${cell}`)).status, 400, cell);
+    }
+    const wide = await server.createPuzzle(admin, {
+      layout: { grid: [Array(20).fill('#'), ['#', 'P', 'B', '.', ...Array(15).fill(' '), '#'], Array(20).fill('#')] }
+    });
+    const { status, body } = await server.request('GET', `/api/puzzles/${wide.id}/preview.svg?cell=64`);
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /smaller cell size/);
+  });
+
+  await t.test('unpublished puzzles are previewed for admins only, uncached', async () => {
+    const draft = await server.createPuzzle(admin, { status: 'draft' });
+    assert.strictEqual((await server.request('GET', `/api/puzzles/${draft.id}/preview.svg`)).status, 404);
+    const player = await server.register();
+    assert.strictEqual((await server.request('GET', `/api/puzzles/${draft.id}/preview.png`, { token: player.token })).status, 404);
+    const forAdmin = await server.request('GET', `/api/puzzles/${draft.id}/preview.svg`, { token: admin });
+    assert.strictEqual(forAdmin.status, 200);
+    assert.match(forAdmin.headers.get('cache-control'), /no-cache/);
+  });
+});
@@ -0,0 +1,70 @@
+// Public player profiles and the links to them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { pageFunction, startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+const profile = async (username) => (await server.request('GET', `/api/users/${encodeURIComponent(username)}/profile`)).body.profile;
+
+test('a new player has an empty profile and unknown players have none', async () => {
+  await server.register('newcomer');
+  const { stats, personal_bests: bests, recent_activity: recent, sprint } = await profile('newcomer');
+  assert.deepStrictEqual([stats.puzzles_solved, stats.runs, stats.completion], [0, 0, 0]);
+  assert.deepStrictEqual([bests, recent, sprint.games_played], [[], [], 0]);
+  assert.strictEqual((await server.request('GET', '/api/users/nobody/profile')).status, 404);
+});
+
+test('profiles show totals and each puzzle\'s best run with its leaderboard rank', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Profiled' });
+  const { body: { collection } } = await server.request('POST', '/api/collections', {
+    token: admin,
+    body: { name: 'Profile pack', puzzleIds: [puzzle.id] }
+  });
+  const runner = await server.register('runner');
+  const rival = await server.register('rival');
+  const timed = async (player, seconds) => {
+    const { body } = await server.submitScore(player.token, puzzle.id, 'R');
+    await server.query('UPDATE scores SET time_taken = ? WHERE id = ?', [seconds, body.score.id]);
+  };
+  await timed(runner, 30);
+  await timed(runner, 20);
+  await timed(rival, 10);
+
+  const { stats, personal_bests: bests, recent_activity: recent, collections } = await profile('runner');
+  assert.deepStrictEqual([stats.puzzles_solved, stats.runs, stats.total_play_time], [1, 2, 50]);
+  assert.ok(stats.completion > 0);
+
+  const best = bests.find(entry => entry.puzzle_id === puzzle.id);
+  assert.deepStrictEqual([best.best_time, best.runs, best.rank, best.ranked_players], [20, 2, 2, 2]);
+  assert.deepStrictEqual(recent.map(entry => entry.has_replay), [true, true]);
+  const pack = collections.find(entry => entry.id === collection.id);
+  assert.deepStrictEqual([pack.solved_count, pack.puzzle_count, pack.completion], [1, 1, 100]);
+});
+
+test('runs on puzzles that are no longer published do not count', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const player = await server.register('archivist');
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await server.request('PUT', `/api/puzzles/${puzzle.id}/status`, { token: admin, body: { status: 'archived' } });
+
+  const { stats, personal_bests: bests } = await profile('archivist');
+  assert.deepStrictEqual([stats.puzzles_solved, stats.runs, bests.length], [0, 0, 0]);
+});
+
+test('profile links escape the username', () => {
+  const sandbox = {};
+  vm.runInNewContext(`${pageFunction('index.html', 'profileLink')}\n${pageFunction('index.html', 'escapeHtml')}\nthis.profileLink = profileLink;`, sandbox);
+  assert.strictEqual(sandbox.profileLink('<b>"x"</b>'),
+    '<a href="#profile/%3Cb%3E%22x%22%3C%2Fb%3E">&lt;b&gt;&quot;x&quot;&lt;/b&gt;</a>');
+  assert.strictEqual(sandbox.profileLink('Tom & Jerry\'s'), '<a href="#profile/Tom%20%26%20Jerry\'s">Tom &amp; Jerry&#39;s</a>');
+});
@@ -0,0 +1,125 @@
+// Searching, filtering and paging the puzzle list, and the stored sizes and box
+// counts it filters on
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const Migrations = require('../lib/migrations');
+const puzzleDimensions = require('../migrations/013_puzzle_dimensions');
+const { LAYOUTS, startServer } = require('./helpers');
+
+const TWO_BOXES = {
+  width: 6,
+  height: 4,
+  grid: ['######', '#@$ .#', '# $ .#', '######'].map(row => Array.from(row))
+};
+
+let server;
+let admin;
+let puzzles;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  puzzles = {
+    small: await server.createPuzzle(admin, { name: 'Small 100%' }),
+    long: await server.createPuzzle(admin, { name: 'Long corridor', layout: LAYOUTS.LONG }),
+    pair: await server.createPuzzle(admin, { name: 'Pair of boxes', layout: TWO_BOXES })
+  };
+  await server.query('UPDATE puzzles SET author = ? WHERE id = ?', ['Thinking Rabbit', puzzles.long.id]);
+  await server.query('UPDATE puzzles SET created_at = ? WHERE id = ?', ['2020-06-01 12:00:00', puzzles.small.id]);
+
+  // Difficulty ratings are worked out in the background; wait for them so
+  // the difficulty order holds still while paging
+  for (let tries = 0; tries < 100; tries++) {
+    const { body } = await server.request('GET', '/api/puzzles?collection=none');
+    if (body.puzzles.every(puzzle => puzzle.difficulty_score !== null)) break;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+});
+
+after(() => server.stop());
+
+// Names of the matching puzzles created here; the seeded levels are all in
+// collections
+const names = async (query) => {
+  const { status, body } = await server.request('GET', `/api/puzzles?collection=none&${query}`);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body.puzzles.map(puzzle => puzzle.name);
+};
+
+test('puzzles store their size and box count, counting boxes written as $', async () => {
+  const size = async ({ id }) => {
+    const { body: { puzzle } } = await server.request('GET', `/api/puzzles/${id}`);
+    return [puzzle.width, puzzle.height, puzzle.boxes];
+  };
+  assert.deepStrictEqual(await size(puzzles.long), [7, 3, 1]);
+  assert.deepStrictEqual(await size(puzzles.pair), [6, 4, 2]);
+});
+
+test('names and authors are searched anywhere in the text, ignoring case', async () => {
+  assert.deepStrictEqual(await names('q=CORRIDOR'), ['Long corridor']);
+  assert.deepStrictEqual(await names('author=rabbit'), ['Long corridor']);
+  assert.deepStrictEqual(await names('author=admin'), ['Small 100%', 'Pair of boxes']);
+  // % and _ are matched literally
+  assert.deepStrictEqual(await names('q=%25'), ['Small 100%']);
+  assert.deepStrictEqual(await names('q=_'), []);
+});
+
+test('size, box count and creation date can be limited', async () => {
+  assert.deepStrictEqual(await names('minWidth=6'), ['Long corridor', 'Pair of boxes']);
+  assert.deepStrictEqual(await names('minWidth=6&maxHeight=3'), ['Long corridor']);
+  assert.deepStrictEqual(await names('minBoxes=2'), ['Pair of boxes']);
+  assert.deepStrictEqual(await names('createdBefore=2021-01-01'), ['Small 100%']);
+  assert.deepStrictEqual(await names('createdAfter=2021-01-01'), ['Long corridor', 'Pair of boxes']);
+
+  for (const query of ['minWidth=-1', 'maxBoxes=two', 'minHeight=2.5', 'createdAfter=someday']) {
+    assert.strictEqual((await server.request('GET', `/api/puzzles?${query}`)).status, 400, query);
+  }
+});
+
+test('pages follow the cursor until there is no next page', async () => {
+  const pages = async (query) => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const { body } = await server.request('GET', `/api/puzzles?${query}&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.ok(body.puzzles.length <= 2);
+      seen.push(...body.puzzles.map(puzzle => puzzle.id));
+      cursor = body.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+  const all = async (query) => (await server.request('GET', `/api/puzzles?${query}`)).body.puzzles.map(puzzle => puzzle.id);
+
+  assert.deepStrictEqual(await pages('summary=true'), await all('summary=true'));
+  const byDifficulty = await pages('collection=none&sort=-difficulty');
+  assert.strictEqual(byDifficulty.length, 3);
+  assert.deepStrictEqual(byDifficulty, await all('collection=none&sort=-difficulty'));
+
+  assert.strictEqual((await server.request('GET', '/api/puzzles?limit=0')).status, 400);
+  assert.strictEqual((await server.request('GET', '/api/puzzles?limit=101')).status, 400);
+  assert.strictEqual((await server.request('GET', '/api/puzzles?limit=2&cursor=nonsense')).status, 400);
+});
+
+test('summary mode leaves out the layouts', async () => {
+  const { body } = await server.request('GET', '/api/puzzles?summary=true');
+  assert.ok(body.puzzles.every(puzzle => !('layout' in puzzle) && puzzle.boxes > 0));
+});
+
+test('the dimensions migration fills in stored puzzles, counting boxes written as $', async () => {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(database)));
+  });
+  const helpers = Migrations.createHelpers(db);
+  await Migrations.migrate(db);
+  await helpers.run('INSERT INTO puzzles (name, layout) VALUES (?, ?), (?, ?)', [
+    'Dollar boxes', JSON.stringify(TWO_BOXES),
+    'Broken', '{not json'
+  ]);
+
+  // Run it again as if these puzzles had been stored before it
+  await puzzleDimensions.up(helpers);
+  const rows = await helpers.all("SELECT name, width, height, boxes FROM puzzles WHERE name IN ('Dollar boxes', 'Broken') ORDER BY id");
+  assert.deepStrictEqual(rows.map(({ name, width, height, boxes }) => [name, width, height, boxes]),
+    [['Dollar boxes', 6, 4, 2], ['Broken', null, null, null]]);
+});
@@ -0,0 +1,91 @@
+// Draft, scheduled, published and archived puzzles
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let player;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  player = await server.register();
+});
+
+after(() => server.stop());
+
+const setStatus = (puzzleId, body) => server.request('PUT', `/api/puzzles/${puzzleId}/status`, { token: admin, body });
+const visibleTo = async (token, puzzleId) => (await server.request('GET', `/api/puzzles/${puzzleId}`, { token })).status === 200;
+
+test('new puzzles are drafts that only admins can see', async () => {
+  const { body } = await server.request('POST', '/api/puzzles', {
+    token: admin,
+    body: { name: 'Unfinished', layout: { grid: [['#', '#', '#', '#', '#'], ['#', 'P', 'B', '.', '#'], ['#', '#', '#', '#', '#']] } }
+  });
+  const draft = body.puzzle;
+  assert.strictEqual(draft.status, 'draft');
+  assert.strictEqual(await visibleTo(player.token, draft.id), false);
+  assert.strictEqual(await visibleTo(admin, draft.id), true);
+
+  const list = await server.request('GET', '/api/puzzles', { token: player.token });
+  assert.ok(!list.body.puzzles.some(puzzle => puzzle.id === draft.id));
+  const drafts = await server.request('GET', '/api/puzzles?status=draft', { token: admin });
+  assert.deepStrictEqual(drafts.body.puzzles.map(puzzle => puzzle.id), [draft.id]);
+  assert.strictEqual((await server.request('GET', '/api/puzzles?status=draft', { token: player.token })).status, 403);
+});
+
+test('drafts take no attempts and their leaderboards are hidden from players', async () => {
+  const draft = await server.createPuzzle(admin, { status: 'draft' });
+  const attempt = await server.request('POST', '/api/attempts', { token: player.token, body: { puzzleId: draft.id } });
+  assert.strictEqual(attempt.status, 403);
+
+  assert.strictEqual((await server.request('GET', `/api/scores/leaderboard/${draft.id}`)).status, 404);
+  assert.strictEqual((await server.request('GET', `/api/scores/leaderboard/${draft.id}`, { token: player.token })).status, 404);
+  assert.strictEqual((await server.request('GET', `/api/scores/leaderboard/${draft.id}`, { token: admin })).status, 200);
+});
+
+test('a scheduled puzzle publishes itself once its time has passed', async () => {
+  const puzzle = await server.createPuzzle(admin, { status: 'draft' });
+  const publishAt = new Date(Date.now() + 2000).toISOString();
+  const scheduled = await setStatus(puzzle.id, { status: 'scheduled', publishAt });
+  assert.strictEqual(scheduled.status, 200);
+  assert.strictEqual(scheduled.body.puzzle.status, 'scheduled');
+  assert.strictEqual(await visibleTo(player.token, puzzle.id), false);
+
+  await sleep(3100);
+  const { body } = await server.request('GET', `/api/puzzles/${puzzle.id}`, { token: player.token });
+  assert.strictEqual(body.puzzle.status, 'published');
+});
+
+test('scheduling needs a valid time in the future', async () => {
+  const puzzle = await server.createPuzzle(admin, { status: 'draft' });
+  assert.match((await setStatus(puzzle.id, { status: 'scheduled' })).body.error, /valid publishAt/);
+  assert.match((await setStatus(puzzle.id, { status: 'scheduled', publishAt: '2000-01-01T00:00:00Z' })).body.error, /future/);
+  assert.match((await setStatus(puzzle.id, { status: 'hidden' })).body.error, /Invalid status/);
+});
+
+test('archiving hides a puzzle but keeps its scores', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  assert.strictEqual((await server.submitScore(player.token, puzzle.id, 'R')).status, 201);
+  await setStatus(puzzle.id, { status: 'archived' });
+  assert.strictEqual(await visibleTo(player.token, puzzle.id), false);
+
+  const board = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}`, { token: admin });
+  assert.strictEqual(board.body.total, 1);
+});
+
+test('imported levels are drafts unless a status is given', async () => {
+  const pack = '#####\n#@$.#\n#####\nTitle: Imported\n';
+  const headers = { 'Content-Type': 'text/plain' };
+  const imported = await server.request('POST', '/api/puzzles/import', { token: admin, body: pack, headers });
+  assert.strictEqual(imported.body.status, 'draft');
+  assert.strictEqual(await visibleTo(player.token, imported.body.puzzles[0].id), false);
+
+  const published = await server.request('POST', '/api/puzzles/import?status=published', { token: admin, body: pack, headers });
+  assert.strictEqual(await visibleTo(player.token, published.body.puzzles[0].id), true);
+
+  const invalid = await server.request('POST', '/api/puzzles/import?status=live', { token: admin, body: pack, headers });
+  assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,77 @@
+// Move timings sent with scores and the replays built from them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { LAYOUTS, startServer } = require('./helpers');
+
+let server;
+let admin;
+let player;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  player = await server.register('replayer');
+});
+
+after(() => server.stop());
+
+const replay = (scoreId, token) => server.request('GET', `/api/scores/${scoreId}/replay`, { token });
+
+test('move times need one increasing whole millisecond per move ending at the time taken', async () => {
+  const puzzle = await server.createPuzzle(admin, { layout: LAYOUTS.LONG });
+  for (const moveTimes of [undefined, [100, 200], [300, 200, 400], [100, 200.5, 300], [-100, 0, 100], [100, 200, 5000], 'fast']) {
+    const { status, body } = await server.submitScore(player.token, puzzle.id, 'rRR', { moveTimes });
+    assert.strictEqual(status, 400, JSON.stringify(moveTimes));
+    assert.match(body.error, /^moveTimes/);
+  }
+  assert.strictEqual((await server.submitScore(player.token, puzzle.id, 'rRR', { moveTimes: [0, 0, 900] })).status, 201);
+
+  // A run the server timed at 10 seconds can't have ended after 1
+  const attempt = await server.openAttempt(player.token, puzzle.id);
+  await server.query('UPDATE play_attempts SET started_at = ? WHERE id = ?', [
+    new Date(Date.now() - 10000).toISOString().replace('T', ' ').slice(0, 23),
+    attempt.body.attempt.id
+  ]);
+  const early = await server.submitScore(player.token, puzzle.id, 'rRR', { attemptId: attempt.body.attempt.id, moveTimes: [0, 500, 1000] });
+  assert.strictEqual(early.status, 400);
+  assert.match(early.body.error, /^moveTimes must end within/);
+});
+
+test('a replay has the moves, their times and the layout the score was set on', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Replayed' });
+  const { body } = await server.submitScore(player.token, puzzle.id, 'R', { moveTimes: [250] });
+  await server.request('PUT', `/api/puzzles/${puzzle.id}`, { token: admin, body: { layout: LAYOUTS.LONG } });
+
+  const { status, body: { replay: recorded } } = await replay(body.score.id);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(recorded.username, 'replayer');
+  assert.strictEqual(recorded.puzzle_revision, 1);
+  assert.strictEqual(recorded.solution, 'R');
+  assert.deepStrictEqual(recorded.move_times, [250]);
+  assert.deepStrictEqual(JSON.parse(recorded.layout).grid, LAYOUTS.SIMPLE.grid);
+});
+
+test('old scores without move times still replay, without timings', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const old = await server.query(
+    'INSERT INTO scores (user_id, puzzle_id, puzzle_revision, time_taken, moves, pushes, solution) VALUES (?, ?, 1, 5, 1, 1, ?) RETURNING id',
+    [player.user.id, puzzle.id, 'R']
+  );
+  assert.strictEqual((await replay(old[0].id)).body.replay.move_times, null);
+});
+
+test('old scores without moves and scores on hidden puzzles have no replay', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const old = await server.query(
+    'INSERT INTO scores (user_id, puzzle_id, time_taken, moves, pushes) VALUES (?, ?, 5, 1, 1) RETURNING id',
+    [player.user.id, puzzle.id]
+  );
+  assert.match((await replay(old[0].id)).body.error, /No replay was recorded/);
+
+  const { body } = await server.submitScore(player.token, puzzle.id, 'R');
+  await server.request('PUT', `/api/puzzles/${puzzle.id}/status`, { token: admin, body: { status: 'archived' } });
+  assert.strictEqual((await replay(body.score.id)).status, 404);
+  assert.strictEqual((await replay(body.score.id, player.token)).status, 404);
+  assert.strictEqual((await replay(body.score.id, admin)).status, 200);
+  assert.strictEqual((await replay(99999)).status, 404);
+});
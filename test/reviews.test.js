@@ -0,0 +1,93 @@
+// Player ratings and reviews, and their moderation
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+let server;
+let admin;
+let puzzle;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  puzzle = await server.createPuzzle(admin, { name: 'Reviewed' });
+});
+
+after(() => server.stop());
+
+const review = (token, body) => server.request('PUT', `/api/puzzles/${puzzle.id}/review`, { token, body });
+const reviews = (token) => server.request('GET', `/api/puzzles/${puzzle.id}/reviews`, { token });
+
+test('only players who completed the puzzle can review it', async () => {
+  const player = await server.register();
+  assert.strictEqual((await reviews(player.token)).body.canReview, false);
+  assert.strictEqual((await review(player.token, { rating: 4 })).status, 403);
+
+  await server.submitScore(player.token, puzzle.id, 'R');
+  assert.strictEqual((await reviews(player.token)).body.canReview, true);
+  assert.strictEqual((await review(player.token, { rating: 4 })).status, 201);
+});
+
+test('ratings are whole numbers from 1 to 5 and reviews have a length limit', async () => {
+  const player = await server.register();
+  await server.submitScore(player.token, puzzle.id, 'R');
+  for (const rating of [0, 6, 3.5, '4']) {
+    assert.strictEqual((await review(player.token, { rating })).status, 400);
+  }
+  assert.strictEqual((await review(player.token, { rating: 3, review: 'x'.repeat(501) })).status, 400);
+});
+
+test('rating again replaces the earlier review, and it can be deleted', async () => {
+  const player = await server.register('second-thoughts');
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await review(player.token, { rating: 2, review: 'Too easy' });
+  const updated = await review(player.token, { rating: 5, review: '  Grew on me  ' });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.review.review, 'Grew on me');
+
+  const mine = (await reviews(player.token)).body.reviews.filter(entry => entry.username === 'second-thoughts');
+  assert.deepStrictEqual(mine.map(entry => entry.rating), [5]);
+
+  const remove = () => server.request('DELETE', `/api/puzzles/${puzzle.id}/review`, { token: player.token });
+  assert.strictEqual((await remove()).status, 200);
+  assert.strictEqual((await remove()).status, 404);
+});
+
+test('hidden reviews leave the list and the rating summary but stay visible to their author', async () => {
+  const fresh = await server.createPuzzle(admin, { name: 'Moderated' });
+  const rate = async (username, rating) => {
+    const player = await server.register(username);
+    await server.submitScore(player.token, fresh.id, 'R');
+    const { body } = await server.request('PUT', `/api/puzzles/${fresh.id}/review`, { token: player.token, body: { rating, review: 'Thoughts' } });
+    return { player, review: body.review };
+  };
+  await rate('fair-critic', 4);
+  const { player: troll, review: trolled } = await rate('troll', 1);
+  const summary = async (token) => (await server.request('GET', `/api/puzzles/${fresh.id}/reviews`, { token })).body;
+  assert.deepStrictEqual((await summary()).rating, { average: 2.5, count: 2 });
+
+  const hide = (hidden, token = admin) => server.request('PUT', `/api/reviews/${trolled.id}/hidden`, { token, body: { hidden } });
+  assert.strictEqual((await hide(true, troll.token)).status, 403);
+  assert.strictEqual((await hide('yes')).status, 400);
+  assert.strictEqual((await hide(true)).status, 200);
+
+  const moderated = await summary();
+  assert.deepStrictEqual(moderated.rating, { average: 4, count: 1 });
+  assert.deepStrictEqual(moderated.reviews.map(entry => entry.username), ['fair-critic']);
+  assert.strictEqual((await summary(troll.token)).mine.hidden, true);
+
+  const listed = await server.request('GET', '/api/reviews?hidden=true', { token: admin });
+  assert.deepStrictEqual(listed.body.reviews.map(entry => [entry.username, entry.hidden_by_username]), [['troll', 'admin']]);
+
+  // Editing keeps it hidden until an admin shows it again
+  await server.request('PUT', `/api/puzzles/${fresh.id}/review`, { token: troll.token, body: { rating: 2 } });
+  assert.strictEqual((await summary()).rating.count, 1);
+  await hide(false);
+  assert.deepStrictEqual((await summary()).rating, { average: 3, count: 2 });
+});
+
+test('puzzles carry their rating summary', async () => {
+  const { body } = await server.request('GET', `/api/puzzles/${puzzle.id}`);
+  assert.strictEqual(body.puzzle.rating_count, 1);
+  assert.strictEqual(body.puzzle.rating_average, 4);
+});
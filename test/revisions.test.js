@@ -0,0 +1,92 @@
+// Puzzle editing: revision history, diffs, rollback and leaderboard resets
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const LayoutDiff = require('../lib/layout-diff');
+const { LAYOUTS, startServer } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+const edit = (puzzleId, body) => server.request('PUT', `/api/puzzles/${puzzleId}`, { token: admin, body });
+
+test('diffGrids lists changed cells and treats cells outside a grid as floor', () => {
+  const diff = LayoutDiff.diffGrids([['#', 'P'], ['#', '.']], [['#', ' ', ' '], ['#', '.']]);
+  assert.deepStrictEqual(diff.from, { width: 2, height: 2 });
+  assert.deepStrictEqual(diff.to, { width: 3, height: 2 });
+  assert.deepStrictEqual(diff.changes, [{ row: 0, col: 1, from: 'P', to: ' ' }]);
+});
+
+test('every edit is a new revision that can be diffed against the one before', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Before' });
+  const updated = await edit(puzzle.id, { name: 'After', layout: LAYOUTS.LONG, note: 'Longer corridor' });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.puzzle.revision, 2);
+
+  const { body } = await server.request('GET', `/api/puzzles/${puzzle.id}/revisions`, { token: admin });
+  assert.deepStrictEqual(body.revisions.map(({ revision, name, note }) => [revision, name, note]), [
+    [2, 'After', 'Longer corridor'],
+    [1, 'Before', 'Created']
+  ]);
+
+  const diff = await server.request('GET', `/api/puzzles/${puzzle.id}/revisions/2/diff`, { token: admin });
+  assert.strictEqual(diff.body.nameChanged, true);
+  assert.deepStrictEqual([diff.body.from.size.width, diff.body.to.size.width], [5, 7]);
+  assert.ok(diff.body.changes.some(change => change.row === 1 && change.col === 2 && change.from === 'B' && change.to === ' '));
+
+  assert.strictEqual((await server.request('GET', `/api/puzzles/${puzzle.id}/revisions/1/diff`, { token: admin })).status, 400);
+});
+
+test('an edit that changes nothing is refused', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Same' });
+  const { status, body } = await edit(puzzle.id, { name: 'Same', layout: LAYOUTS.SIMPLE });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'No changes to save');
+});
+
+test('rolling back saves the old revision again as a new one', async () => {
+  const puzzle = await server.createPuzzle(admin, { name: 'Original' });
+  await edit(puzzle.id, { name: 'Changed', layout: LAYOUTS.LONG });
+
+  const rollback = await server.request('POST', `/api/puzzles/${puzzle.id}/revisions/1/rollback`, { token: admin, body: {} });
+  assert.strictEqual(rollback.status, 200);
+  assert.strictEqual(rollback.body.puzzle.revision, 3);
+  assert.strictEqual(rollback.body.puzzle.name, 'Original');
+  assert.deepStrictEqual(JSON.parse(rollback.body.puzzle.layout), LAYOUTS.SIMPLE);
+
+  const current = await server.request('POST', `/api/puzzles/${puzzle.id}/revisions/3/rollback`, { token: admin, body: {} });
+  assert.strictEqual(current.status, 400);
+});
+
+test('resetting the leaderboard keeps older runs out of the default view', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const player = await server.register();
+  await server.submitScore(player.token, puzzle.id, 'R');
+  await edit(puzzle.id, { layout: LAYOUTS.LONG, resetLeaderboard: true });
+
+  const current = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}`);
+  assert.strictEqual(current.body.total, 0);
+  const first = await server.request('GET', `/api/scores/leaderboard/${puzzle.id}?revision=1`);
+  assert.strictEqual(first.body.total, 1);
+
+  // Scores replay against the current layout
+  assert.strictEqual((await server.submitScore(player.token, puzzle.id, 'R')).status, 400);
+  const saved = await server.submitScore(player.token, puzzle.id, 'rRR');
+  assert.strictEqual(saved.body.score.puzzle_revision, 2);
+});
+
+test('concurrent edits get consecutive revisions', async () => {
+  const puzzle = await server.createPuzzle(admin);
+  const results = await Promise.all([1, 2, 3, 4].map(n => edit(puzzle.id, { name: `Edit ${n}` })));
+  assert.deepStrictEqual(results.map(({ status }) => status), [200, 200, 200, 200]);
+  assert.deepStrictEqual(results.map(({ body }) => body.puzzle.revision).sort(), [2, 3, 4, 5]);
+
+  const { body } = await server.request('GET', `/api/puzzles/${puzzle.id}/revisions`, { token: admin });
+  assert.deepStrictEqual(body.revisions.map(({ revision }) => revision), [5, 4, 3, 2, 1]);
+});
@@ -0,0 +1,62 @@
+// Score submissions are verified by replaying their moves on the server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { LAYOUTS, startServer } = require('./helpers');
+
+let server;
+let admin;
+let player;
+let puzzle;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  player = await server.register();
+  puzzle = await server.createPuzzle(admin, { layout: LAYOUTS.LONG });
+});
+
+after(() => server.stop());
+
+test('a solving move sequence is saved with moves and pushes counted from the replay', async () => {
+  const { status, body } = await server.submitScore(player.token, puzzle.id, 'rRR', { moves: 1, pushes: 0 });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.score.moves, 3);
+  assert.strictEqual(body.score.pushes, 2);
+});
+
+test('moves are case-insensitive on input', async () => {
+  const { status, body } = await server.submitScore(player.token, puzzle.id, 'rrr');
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.score.pushes, 2);
+});
+
+test('a sequence that does not solve the puzzle is rejected', async () => {
+  const { status, body } = await server.submitScore(player.token, puzzle.id, 'rR');
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /does not solve/);
+});
+
+test('an illegal move is rejected with its position', async () => {
+  const { status, body } = await server.submitScore(player.token, puzzle.id, 'lrRR');
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Illegal move 'l' at position 1/);
+});
+
+test('an unknown move character is rejected', async () => {
+  const { status, body } = await server.submitScore(player.token, puzzle.id, 'rRx');
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Unknown move 'x' at position 3/);
+});
+
+test('a score needs a move sequence', async () => {
+  const { status } = await server.submitScore(player.token, puzzle.id, '');
+  assert.strictEqual(status, 400);
+});
+
+test('a score for a missing puzzle is refused', async () => {
+  const { status } = await server.request('POST', '/api/scores', {
+    token: player.token,
+    body: { puzzleId: 9999, attemptId: 1, solution: 'R' }
+  });
+  assert.strictEqual(status, 404);
+});
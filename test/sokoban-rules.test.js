@@ -0,0 +1,86 @@
+// Shared rules engine: parsing, goal-aware tiles, moves, undo and replay
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SokobanRules = require('../shared/sokoban-rules');
+
+const LEVEL = [
+  '#######',
+  '#@ $ .#',
+  '#  *  #',
+  '#######'
+].join('\n');
+
+test('parseLevel separates the static map from the player and boxes', () => {
+  const state = SokobanRules.parseLevel(LEVEL);
+  assert.strictEqual(state.width, 7);
+  assert.strictEqual(state.height, 4);
+  assert.deepStrictEqual(state.player, { row: 1, col: 1 });
+  assert.deepStrictEqual(state.boxes, [{ row: 1, col: 3 }, { row: 2, col: 3 }]);
+  assert.deepStrictEqual(state.goals, [{ row: 1, col: 5 }, { row: 2, col: 3 }]);
+  assert.deepStrictEqual(state.map, ['#######', '#    .#', '#  .  #', '#######']);
+});
+
+test('parseLevel accepts game symbols and pads short rows', () => {
+  const state = SokobanRules.parseLevel([['#', '#', '#', '#'], ['#', 'P', 'B', '.'], ['#', '#']]);
+  assert.strictEqual(state.width, 4);
+  assert.strictEqual(state.map[2], '##  ');
+});
+
+test('parseLevel rejects unknown tiles, extra players and missing players', () => {
+  assert.throws(() => SokobanRules.parseLevel('#@x#'), /Unknown tile 'x' at row 1, column 3/);
+  assert.throws(() => SokobanRules.parseLevel('#@@#'), /More than one player/);
+  assert.throws(() => SokobanRules.parseLevel('#$.#'), /no player/);
+});
+
+test('a player standing on a goal keeps the goal underneath', () => {
+  const state = SokobanRules.parseLevel('#+ $#');
+  const moved = SokobanRules.applyMove(state, 'right');
+  assert.ok(SokobanRules.isGoal(moved, 0, 1));
+  assert.strictEqual(SokobanRules.serialize(moved), '#.@$#');
+});
+
+test('applyMove records walks and pushes in LURD and refuses blocked moves', () => {
+  let state = SokobanRules.parseLevel(LEVEL);
+  assert.strictEqual(SokobanRules.applyMove(state, 'l'), null);
+  state = SokobanRules.applyMove(state, 'r');
+  state = SokobanRules.applyMove(state, 'R');
+  assert.strictEqual(state.history, 'rR');
+  assert.deepStrictEqual(state.boxes[0], { row: 1, col: 4 });
+  assert.strictEqual(SokobanRules.countPushes(state.history), 1);
+});
+
+test('gridDimensions counts boxes in every notation', () => {
+  assert.deepStrictEqual(SokobanRules.gridDimensions(['#####', '#@$*#', '#B..#', '####']), { width: 5, height: 4, boxes: 3 });
+  assert.deepStrictEqual(SokobanRules.gridDimensions([['#', 'P', 'B', '.']]), { width: 4, height: 1, boxes: 1 });
+});
+
+test('a box cannot be pushed into another box', () => {
+  const state = SokobanRules.parseLevel('#@$$ #');
+  assert.strictEqual(SokobanRules.applyMove(state, 'r'), null);
+});
+
+test('undo takes back walks and pulls pushed boxes back', () => {
+  const start = SokobanRules.parseLevel(LEVEL);
+  const { state } = SokobanRules.replay(start, 'rR');
+  const once = SokobanRules.undo(state);
+  assert.deepStrictEqual(once.boxes, start.boxes);
+  assert.deepStrictEqual(once.player, { row: 1, col: 2 });
+  const twice = SokobanRules.undo(once);
+  assert.deepStrictEqual(twice.player, start.player);
+  assert.strictEqual(twice.history, '');
+  assert.strictEqual(SokobanRules.undo(twice), null);
+});
+
+test('isSolved needs every goal covered', () => {
+  const start = SokobanRules.parseLevel(LEVEL);
+  assert.strictEqual(SokobanRules.isSolved(start), false);
+  const { valid, state } = SokobanRules.replay(start, 'rRR');
+  assert.ok(valid);
+  assert.strictEqual(SokobanRules.isSolved(state), true);
+});
+
+test('toGrid uses the game symbols and serialize uses XSB', () => {
+  const state = SokobanRules.parseLevel(LEVEL);
+  assert.deepStrictEqual(SokobanRules.toGrid(state)[1], ['#', 'P', ' ', 'B', ' ', '.', '#']);
+  assert.strictEqual(SokobanRules.serialize(state), LEVEL);
+});
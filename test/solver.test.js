@@ -0,0 +1,98 @@
+// Solver: optimal push solutions, deadlock pruning and search budgets
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const Solver = require('../lib/solver');
+const SokobanRules = require('../shared/sokoban-rules');
+const { startServer } = require('./helpers');
+
+const CORNERED = { width: 5, height: 4, grid: [['#', '#', '#', '#', '#'], ['#', 'B', ' ', 'P', '#'], ['#', ' ', ' ', '.', '#'], ['#', '#', '#', '#', '#']] };
+
+test('solve returns a replayable solution with the fewest pushes', () => {
+  const level = SokobanRules.parseLevel([
+    '######',
+    '#@   #',
+    '# $$ #',
+    '# .. #',
+    '######'
+  ]);
+  const result = Solver.solve(level);
+  assert.strictEqual(result.status, 'solved');
+  assert.strictEqual(result.optimal, true);
+  assert.strictEqual(result.pushes, 2);
+  assert.strictEqual(result.moves, result.solution.length);
+  const { valid, state } = SokobanRules.replay(level, result.solution);
+  assert.ok(valid);
+  assert.ok(SokobanRules.isSolved(state));
+});
+
+test('a box starting on a dead square is unsolvable without searching', () => {
+  const result = Solver.solve(SokobanRules.parseLevel(CORNERED.grid));
+  assert.strictEqual(result.status, 'unsolvable');
+  assert.strictEqual(result.statesExplored, 0);
+});
+
+test('fewer boxes than goals is unsolvable', () => {
+  const result = Solver.solve(SokobanRules.parseLevel('#####\n#@$..#\n######'));
+  assert.strictEqual(result.status, 'unsolvable');
+  assert.match(result.reason, /Fewer boxes than goals/);
+});
+
+test('a level is unsolvable once every reachable position is searched', () => {
+  // Boxes against the top wall can never be pushed down to the lower goal
+  const result = Solver.solve(SokobanRules.parseLevel([
+    '######',
+    '#@$$.#',
+    '#   .#',
+    '######'
+  ]));
+  assert.strictEqual(result.status, 'unsolvable');
+  assert.strictEqual(result.reason, 'Every reachable position was searched');
+});
+
+test('solveAsync gives the same answer from a worker thread', async () => {
+  const level = SokobanRules.parseLevel('#######\n#@ $ .#\n#######');
+  const result = await Solver.solveAsync(level);
+  assert.strictEqual(result.status, 'solved');
+  assert.strictEqual(result.solution, 'rRR');
+});
+
+test('a search that runs out of states reports timed_out', () => {
+  const level = SokobanRules.parseLevel([
+    '########',
+    '#@     #',
+    '# $$$$ #',
+    '#      #',
+    '# .... #',
+    '########'
+  ]);
+  const result = Solver.solve(level, { maxStates: 5, fallbackWeight: 1 });
+  assert.strictEqual(result.status, 'timed_out');
+  assert.strictEqual(result.reason, 'memory');
+});
+
+test('over the API', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const admin = await server.login();
+
+  await t.test('checkSolvable refuses a puzzle the solver proves unsolvable', async () => {
+    const { status, body } = await server.request('POST', '/api/puzzles', {
+      token: admin,
+      body: { name: 'Cornered', layout: CORNERED, checkSolvable: true }
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.solver.status, 'unsolvable');
+  });
+
+  await t.test('admins can solve a layout or a stored puzzle', async () => {
+    const puzzle = await server.createPuzzle(admin, { checkSolvable: true });
+    const stored = await server.request('POST', `/api/puzzles/${puzzle.id}/solve`, { token: admin });
+    assert.strictEqual(stored.body.solver.solution, 'R');
+
+    const layout = await server.request('POST', '/api/puzzles/solve', { token: admin, body: { layout: CORNERED } });
+    assert.strictEqual(layout.body.solver.status, 'unsolvable');
+
+    const player = await server.register();
+    assert.strictEqual((await server.request('POST', `/api/puzzles/${puzzle.id}/solve`, { token: player.token })).status, 403);
+  });
+});
@@ -0,0 +1,136 @@
+// Player level submissions and their moderation queue
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { LAYOUTS, pageFunction, startServer } = require('./helpers');
+
+let server;
+let admin;
+let player;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login();
+  player = await server.register('level-maker');
+});
+
+after(() => server.stop());
+
+const submit = (body, token = player.token) => server.request('POST', '/api/submissions', { token, body });
+const moderate = (id, action, body = {}, token = admin) => server.request('POST', `/api/submissions/${id}/${action}`, { token, body });
+
+test('submissions need a valid layout and a solution that solves it, if one is given', async () => {
+  assert.strictEqual((await submit({ name: 'No layout' })).status, 400);
+  const invalid = await submit({ name: 'No player', layout: { grid: [['#', 'B', '.', '#']] } });
+  assert.strictEqual(invalid.status, 400);
+  assert.ok(invalid.body.errors.length > 0);
+  assert.match((await submit({ name: 'Too short', layout: LAYOUTS.LONG, solution: 'rR' })).body.error, /does not solve/);
+  assert.match((await submit({ name: 'Into a wall', layout: LAYOUTS.SIMPLE, solution: 'L' })).body.error, /Invalid solution/);
+
+  const { status, body } = await submit({ name: '  Mine  ', layout: LAYOUTS.SIMPLE });
+  assert.strictEqual(status, 201);
+  assert.deepStrictEqual(body.submission, { id: body.submission.id, name: 'Mine', status: 'pending' });
+});
+
+test('players see their own submissions and only admins see the queue', async () => {
+  const other = await server.register();
+  await submit({ name: 'Someone else\'s', layout: LAYOUTS.SIMPLE }, other.token);
+
+  const mine = await server.request('GET', '/api/submissions/mine', { token: player.token });
+  assert.ok(mine.body.submissions.every(submission => submission.name !== 'Someone else\'s'));
+  assert.strictEqual(mine.body.requireSolution, false);
+
+  assert.strictEqual((await server.request('GET', '/api/submissions', { token: player.token })).status, 403);
+  const queue = await server.request('GET', '/api/submissions', { token: admin });
+  assert.ok(queue.body.submissions.some(submission => submission.submitted_by_username === 'level-maker'));
+  assert.strictEqual((await server.request('GET', '/api/submissions?status=lost', { token: admin })).status, 400);
+});
+
+test('approving creates a published puzzle credited to the submitter', async () => {
+  const { body: { collection } } = await server.request('POST', '/api/collections', { token: admin, body: { name: 'Community' } });
+  const { body } = await submit({ name: 'Approved level', layout: LAYOUTS.LONG, solution: 'rRR' });
+  assert.strictEqual((await moderate(body.submission.id, 'approve', {}, player.token)).status, 403);
+
+  const approved = await moderate(body.submission.id, 'approve', { collectionId: collection.id, note: 'Nice one' });
+  assert.strictEqual(approved.status, 200);
+  const puzzleId = approved.body.puzzle.id;
+
+  const { body: { puzzle } } = await server.request('GET', `/api/puzzles/${puzzleId}`, { token: player.token });
+  assert.strictEqual(puzzle.author, 'level-maker');
+  assert.strictEqual(puzzle.status, 'published');
+  assert.strictEqual(puzzle.boxes, 1);
+
+  const revisions = await server.request('GET', `/api/puzzles/${puzzleId}/revisions`, { token: admin });
+  assert.match(revisions.body.revisions[0].note, new RegExp(`submission #${body.submission.id}`));
+  const packed = await server.request('GET', `/api/collections/${collection.id}`);
+  assert.deepStrictEqual(packed.body.puzzles.map(entry => entry.id), [puzzleId]);
+
+  const mine = await server.request('GET', '/api/submissions/mine', { token: player.token });
+  const entry = mine.body.submissions.find(submission => submission.id === body.submission.id);
+  assert.deepStrictEqual([entry.status, entry.moderator_note, entry.puzzle_id], ['approved', 'Nice one', puzzleId]);
+
+  assert.strictEqual((await moderate(body.submission.id, 'reject', { reason: 'Changed my mind' })).status, 409);
+});
+
+test('a failed approval leaves the submission pending', async () => {
+  const { body } = await submit({ name: 'Bad collection', layout: LAYOUTS.SIMPLE });
+  assert.strictEqual((await moderate(body.submission.id, 'approve', { collectionId: 9999 })).status, 400);
+  assert.strictEqual((await moderate(body.submission.id, 'approve', { status: 'scheduled' })).status, 400);
+  const [row] = await server.query('SELECT status, puzzle_id FROM puzzle_submissions WHERE id = ?', [body.submission.id]);
+  assert.deepStrictEqual({ ...row }, { status: 'pending', puzzle_id: null });
+});
+
+test('a submission approved twice at once becomes only one puzzle', async () => {
+  const { body } = await submit({ name: 'Double approval', layout: LAYOUTS.SIMPLE });
+  const results = await Promise.all([
+    moderate(body.submission.id, 'approve'),
+    moderate(body.submission.id, 'approve')
+  ]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 409]);
+  const puzzles = await server.query('SELECT id FROM puzzles WHERE name = ?', ['Double approval']);
+  assert.strictEqual(puzzles.length, 1);
+  const [row] = await server.query('SELECT status, puzzle_id FROM puzzle_submissions WHERE id = ?', [body.submission.id]);
+  assert.deepStrictEqual({ ...row }, { status: 'approved', puzzle_id: puzzles[0].id });
+});
+
+test('rejections need a reason and requested changes send the level back to its author', async () => {
+  const rejected = await submit({ name: 'Rejected level', layout: LAYOUTS.SIMPLE });
+  assert.strictEqual((await moderate(rejected.body.submission.id, 'reject')).status, 400);
+  assert.strictEqual((await moderate(rejected.body.submission.id, 'reject', { reason: 'Too short' })).status, 200);
+  const edit = (id) => server.request('PUT', `/api/submissions/${id}`, { token: player.token, body: { name: 'Again', layout: LAYOUTS.LONG } });
+  assert.strictEqual((await edit(rejected.body.submission.id)).status, 409);
+
+  const returned = await submit({ name: 'Needs work', layout: LAYOUTS.SIMPLE });
+  assert.strictEqual((await moderate(returned.body.submission.id, 'request-changes', { note: 'Make it longer' })).status, 200);
+  assert.strictEqual((await moderate(returned.body.submission.id, 'approve')).status, 409);
+  const resubmitted = await edit(returned.body.submission.id);
+  assert.strictEqual(resubmitted.status, 200);
+  assert.strictEqual(resubmitted.body.submission.status, 'pending');
+
+  const stranger = await server.register();
+  const stolen = await server.request('PUT', `/api/submissions/${returned.body.submission.id}`, {
+    token: stranger.token,
+    body: { name: 'Mine now', layout: LAYOUTS.SIMPLE }
+  });
+  assert.strictEqual(stolen.status, 404);
+});
+
+test('SUBMISSION_REQUIRE_SOLUTION makes the solution mandatory', async (t) => {
+  const strict = await startServer({ SUBMISSION_REQUIRE_SOLUTION: 'true' });
+  t.after(() => strict.stop());
+  const { token } = await strict.register();
+  const send = (body) => strict.request('POST', '/api/submissions', { token, body });
+  assert.match((await send({ name: 'Unproven', layout: LAYOUTS.SIMPLE })).body.error, /solution .* is required/);
+  assert.strictEqual((await send({ name: 'Proven', layout: LAYOUTS.SIMPLE, solution: 'R' })).status, 201);
+});
+
+test('approved names and authors are escaped in the admin puzzle list', () => {
+  const sandbox = { document: { createElement: () => ({}) } };
+  vm.runInNewContext(`${pageFunction('admin.html', 'renderPuzzleItem')}\n${pageFunction('admin.html', 'escapeHtml')}\nthis.renderPuzzleItem = renderPuzzleItem;`, sandbox);
+  const { innerHTML } = sandbox.renderPuzzleItem({
+    id: 1, name: '<img src=x onerror=alert(1)>', author: '"Eve" & co', status: 'published', created_at: '2024-01-01'
+  });
+  assert.ok(innerHTML.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(innerHTML.includes('Author: &quot;Eve&quot; &amp; co'));
+  assert.ok(!innerHTML.includes('<img'));
+});